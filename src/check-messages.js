@@ -1,5 +1,17 @@
+const fs = require('fs');
+const path = require('path');
+const { initializeClient } = require('./lib/hedera');
 const { loadEnvFile } = require('./lib/crypto');
-const { checkMessages } = require('./lib/message-box');
+const { EXPORT_FORMATS, exportMessages } = require('./lib/export');
+const {
+  checkMessages,
+  iterateMessages,
+  getThread,
+  getReceiptPolicy,
+  formatMessage,
+} = require('./lib/message-box');
+
+let client = null;
 
 async function main() {
   try {
@@ -10,13 +22,65 @@ async function main() {
     }
 
     const args = process.argv.slice(2);
+    const outputIndex = args.indexOf('--output');
+    let output = outputIndex !== -1 ? args[outputIndex + 1] : undefined;
+    if (outputIndex !== -1) args.splice(outputIndex, 2);
+    const outIndex = args.indexOf('--out');
+    const outFile = outIndex !== -1 ? args[outIndex + 1] : undefined;
+    if (outIndex !== -1) args.splice(outIndex, 2);
+    if (outFile && !output) {
+      // Guess the format from the file extension
+      const extension = path.extname(outFile).slice(1).toLowerCase();
+      output = EXPORT_FORMATS.includes(extension) ? extension : 'json';
+    }
+    if (
+      (outputIndex !== -1 && !EXPORT_FORMATS.includes(output)) ||
+      (outIndex !== -1 && !outFile)
+    ) {
+      console.error(
+        `\n✗ Error: --output must be one of ${EXPORT_FORMATS.join(', ')}, and --out requires a file path`
+      );
+      console.error(
+        '✓ Usage: node check-messages.js [start-sequence] [end-sequence] --output json|ndjson|csv|mbox [--out <file>]\n'
+      );
+      process.exit(1);
+    }
+
+    const threadIndex = args.indexOf('--thread');
+    if (threadIndex !== -1) {
+      const messageId = args[threadIndex + 1];
+      if (!messageId) {
+        console.error('\n✗ Error: --thread requires a message ID');
+        console.error('✓ Usage: node check-messages.js --thread <message-id>');
+        console.error(
+          '✓ Example: node check-messages.js --thread 0.0.5678@42\n'
+        );
+        process.exit(1);
+      }
+
+      console.log(`⚙ Reconstructing thread of ${messageId}`);
+      const thread = await getThread(
+        process.env.RSA_DATA_DIR,
+        accountId,
+        messageId
+      );
+      if (thread.length === 0) {
+        console.log('✓ No readable message found in this thread\n');
+      } else {
+        console.log(`✓ Found ${thread.length} message(s) in the thread:\n`);
+        thread.forEach(message => console.log(`🧵 ${formatMessage(message)}`));
+        console.log();
+      }
+      process.exit(0);
+    }
+
     const startSequence = args[0] ? parseInt(args[0]) : 2;
     const endSequence = args[1] ? parseInt(args[1]) : undefined;
 
     if (isNaN(startSequence) || startSequence < 1) {
       console.error('\n✗ Error: Start sequence must be a positive number');
       console.error(
-        '✓ Usage: node check-messages.js [start-sequence] [end-sequence]'
+        '✓ Usage: node check-messages.js [start-sequence] [end-sequence] | --thread <message-id>'
       );
       console.error('✓ Examples:');
       console.error(
@@ -26,7 +90,13 @@ async function main() {
         '  node check-messages.js 5            # Get all messages from sequence 5'
       );
       console.error(
-        '  node check-messages.js 5 10         # Get messages from sequence 5 to 10\n'
+        '  node check-messages.js 5 10         # Get messages from sequence 5 to 10'
+      );
+      console.error(
+        '  node check-messages.js --thread 0.0.5678@42  # Show the conversation of a message'
+      );
+      console.error(
+        '  node check-messages.js 1 --output csv --out box.csv  # Export all messages to a CSV file\n'
       );
       process.exit(1);
     }
@@ -41,33 +111,101 @@ async function main() {
       process.exit(1);
     }
 
+    if (output) {
+      await exportToOutput(
+        accountId,
+        startSequence,
+        endSequence,
+        output,
+        outFile
+      );
+      process.exit(0);
+    }
+
     console.log(`⚙ Checking messages for account ${accountId}`);
 
+    // A client is only needed to send read receipts
+    const policy = getReceiptPolicy(process.env.RSA_DATA_DIR, accountId);
+    if (policy.default || Object.values(policy.contacts).some(Boolean)) {
+      client = initializeClient();
+    }
+
     const messages = await checkMessages(
       process.env.RSA_DATA_DIR,
       accountId,
       startSequence,
-      endSequence
+      endSequence,
+      { client }
     );
 
     if (messages.length === 0) {
       console.log('✓ No messages found in the specified range\n');
     } else {
       console.log(`✓ Found ${messages.length} message(s):\n`);
-      messages.forEach(message => console.log(`📥 ${message}`));
+      messages.forEach(message => console.log(`📥 ${formatMessage(message)}`));
       console.log();
     }
 
+    if (client) client.close();
     process.exit(0);
   } catch (error) {
     console.error('\n✗ Error:', error.message);
+    if (client) client.close();
     process.exit(1);
   }
 }
 
+/**
+ * Export messages page by page to a file, or to the standard output
+ * @param {string} accountId
+ * @param {number} startSequence
+ * @param {number} [endSequence]
+ * @param {string} format - Export format
+ * @param {string} [outFile] - Output file (standard output if not set)
+ */
+async function exportToOutput(
+  accountId,
+  startSequence,
+  endSequence,
+  format,
+  outFile
+) {
+  if (!outFile) {
+    // Keep the standard output for the export, progress goes to the standard error
+    console.log = console.error;
+    console.debug = console.error;
+  }
+  console.log(`⚙ Exporting messages for account ${accountId} as ${format}`);
+
+  // Exports contain decrypted messages: the file is readable by the owner only, even
+  // when it already existed (the mode of openSync only applies to new files)
+  let stream = process.stdout;
+  if (outFile) {
+    const fd = fs.openSync(outFile, 'w', 0o600);
+    fs.fchmodSync(fd, 0o600);
+    stream = fs.createWriteStream(null, { fd });
+  }
+  // Write errors are reported by exportMessages
+  stream.on('error', () => {});
+  const pages = iterateMessages(
+    process.env.RSA_DATA_DIR,
+    accountId,
+    startSequence,
+    endSequence
+  );
+  const count = await exportMessages(pages, format, stream);
+  if (outFile) {
+    await new Promise(resolve => stream.end(resolve));
+  }
+  console.log(
+    `✓ Exported ${count} message(s)${outFile ? ` to ${outFile}` : ''}\n`
+  );
+}
+
 // Handle Ctrl+C gracefully
 process.on('SIGINT', () => {
   console.log('\n\n⚙ Shutting down...');
+  if (client) client.close();
   process.exit(0);
 });
 
@@ -0,0 +1,24 @@
+const { loadEnvFile } = require('./lib/crypto');
+const { encryptRSAPrivateKey } = require('./lib/message-box');
+
+async function main() {
+  try {
+    loadEnvFile();
+    console.log(
+      `⚙ Encrypting RSA private keys in ${process.env.RSA_DATA_DIR}`
+    );
+    await encryptRSAPrivateKey(process.env.RSA_DATA_DIR);
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  process.exit(0);
+});
+
+main();
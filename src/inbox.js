@@ -0,0 +1,114 @@
+const { loadEnvFile } = require('./lib/crypto');
+const { formatMessage, getInboxKeys } = require('./lib/message-box');
+const {
+  listInbox,
+  getInboxSummary,
+  markRead,
+  archiveMessages,
+  deleteMessages,
+} = require('./lib/inbox');
+
+// Commands that change messages, and what they do
+const UPDATE_COMMANDS = {
+  'mark-read': (dataDir, accountId, keys, ids) =>
+    markRead(dataDir, accountId, keys, ids, true),
+  'mark-unread': (dataDir, accountId, keys, ids) =>
+    markRead(dataDir, accountId, keys, ids, false),
+  archive: (dataDir, accountId, keys, ids) =>
+    archiveMessages(dataDir, accountId, keys, ids, true),
+  unarchive: (dataDir, accountId, keys, ids) =>
+    archiveMessages(dataDir, accountId, keys, ids, false),
+  delete: deleteMessages,
+};
+
+const PAST_TENSE = {
+  'mark-read': 'marked as read',
+  'mark-unread': 'marked as unread',
+  archive: 'archived',
+  unarchive: 'moved back to the inbox',
+  delete: 'deleted',
+};
+
+function printUsage() {
+  console.error(
+    '✓ Usage: node inbox.js list [--unread | --read | --archived | --all]'
+  );
+  console.error(
+    '         node inbox.js mark-read|mark-unread|archive|unarchive|delete <message-id>...'
+  );
+  console.error('✓ Examples:');
+  console.error(
+    '  node inbox.js list                  # List the messages not archived'
+  );
+  console.error(
+    '  node inbox.js list --unread         # List the unread messages'
+  );
+  console.error(
+    '  node inbox.js mark-read 0.0.5678@42 # Mark a message as read'
+  );
+  console.error('  node inbox.js archive 0.0.5678@42   # Archive a message\n');
+}
+
+async function main() {
+  try {
+    loadEnvFile();
+    const accountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
+    }
+    const dataDir = process.env.RSA_DATA_DIR;
+
+    const [command = 'list', ...args] = process.argv.slice(2);
+
+    if (UPDATE_COMMANDS[command]) {
+      if (args.length === 0) {
+        console.error(`\n✗ Error: ${command} requires at least a message ID`);
+        printUsage();
+        process.exit(1);
+      }
+      const keys = await getInboxKeys(dataDir, accountId);
+      const count = UPDATE_COMMANDS[command](dataDir, accountId, keys, args);
+      console.log(`✓ ${count} message(s) ${PAST_TENSE[command]}`);
+      process.exit(0);
+    }
+
+    if (command !== 'list') {
+      console.error(`\n✗ Error: Unknown command "${command}"`);
+      printUsage();
+      process.exit(1);
+    }
+
+    const flags = ['--unread', '--read', '--archived', '--all'];
+    const flag = args.find(arg => flags.includes(arg));
+    const filter = flag ? flag.slice(2) : 'inbox';
+    const keys = await getInboxKeys(dataDir, accountId);
+    const summary = getInboxSummary(dataDir, accountId, keys);
+    console.log(
+      `✓ Inbox of ${accountId}: ${summary.total} message(s), ${summary.unread} unread, ${summary.archived} archived (synced up to sequence ${summary.lastSequenceNumber})`
+    );
+
+    const messages = listInbox(dataDir, accountId, keys, { filter });
+    if (messages.length === 0) {
+      console.log('✓ No messages\n');
+    } else {
+      console.log();
+      for (const message of messages) {
+        const icon = message.archived ? '🗄' : message.read ? '📭' : '📬';
+        console.log(`${icon} ${formatMessage(message)}`);
+      }
+      console.log();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  process.exit(0);
+});
+
+main();
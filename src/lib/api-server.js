@@ -0,0 +1,382 @@
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { MirrorNodeError, MirrorNodeNotFoundError } = require('./hedera');
+const { COMPRESSION_ALGORITHMS } = require('./crypto');
+const { createAttachment } = require('./attachments');
+const {
+  setupMessageBox,
+  getMessageBoxStatus,
+  removeMessageBox,
+  sendMessage,
+  checkMessages,
+} = require('./message-box');
+const { MessageBoxSubscription } = require('./subscription');
+
+// Maximum size of request bodies (attachments are sent base64-encoded)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// == Public functions ========================================================
+
+/**
+ * Create a local HTTP server exposing the message box operations as a JSON REST API.
+ * Every request must carry an `Authorization: Bearer <token>` header.
+ *
+ * Routes:
+ * - GET /status: status of the message box (see getMessageBoxStatus)
+ * - POST /message-box: set up the message box (see setupMessageBox)
+ * - DELETE /message-box: remove the message box (see removeMessageBox)
+ * - GET /messages?start=2&end=10: messages in a sequence range, read without marking them read (see checkMessages)
+ * - POST /messages: send a message, body {to, message, cbor?, compression?, inReplyTo?, requestReceipt?, attachment?}
+ * - GET /events: server-sent events stream of new messages ('message' events)
+ *
+ * The events stream shares one subscription between all its clients. It starts with the
+ * first client and stops with the last one. Like the listener, it resumes from a saved polling
+ * cursor, its own one ('api'), so messages received while no client was connected are sent to
+ * the next one, and the listener can run at the same time.
+ * Closing the server doesn't end open streams: call server.closeAllConnections().
+ * @param {import("@hashgraph/sdk").Client} client
+ * @param {string} dataDir
+ * @param {string} accountId - Message box owner
+ * @param {Object} options - Optional parameters
+ * @param {string} [options.token] - Bearer token (defaults to API_TOKEN)
+ * @param {number} [options.interval=3000] - Polling interval of the events stream (ms)
+ * @param {number} [options.heartbeatInterval=15000] - Interval of the keep-alive comments of the events stream (ms)
+ * @returns {import('http').Server} The server, not listening yet
+ * @throws {Error} If no token is configured
+ */
+function createApiServer(client, dataDir, accountId, options = {}) {
+  const {
+    token = process.env.API_TOKEN,
+    interval = 3000,
+    heartbeatInterval = 15000,
+  } = options;
+  if (!token) throw new Error('API_TOKEN is required to protect the API');
+  const tokenHash = hashToken(token);
+
+  const streams = new Set();
+  let subscription = null;
+
+  const routes = {
+    'GET /status': () => getMessageBoxStatus(accountId),
+    'POST /message-box': async () => {
+      const { messageBoxId } = await setupMessageBox(
+        client,
+        dataDir,
+        accountId,
+        { skipPrompts: true }
+      );
+      return { messageBoxId };
+    },
+    'DELETE /message-box': async () => {
+      const result = await removeMessageBox(client, accountId);
+      if (!result.success) {
+        throw new Error(`Failed to remove message box: ${result.error}`);
+      }
+      return {};
+    },
+    'GET /messages': async (req, url) => {
+      const start = parseSequence(url.searchParams.get('start'), 'start') ?? 2;
+      const end = parseSequence(url.searchParams.get('end'), 'end');
+      if (end !== undefined && end < start) {
+        throw httpError(400, 'end must be >= start');
+      }
+      // Read only: no inbox flags, read receipts or saved attachments
+      const records = await checkMessages(dataDir, accountId, start, end, {
+        storeInbox: false,
+      });
+      return { messages: records.map(toApiRecord) };
+    },
+    'POST /messages': async req => {
+      const {
+        to,
+        message,
+        options: sendOptions,
+      } = parseSendRequest(await readJsonBody(req));
+      try {
+        const { sent } = await sendMessage(client, to, message, sendOptions);
+        return [201, { sent }];
+      } catch (error) {
+        if (!error.sent?.length) throw error;
+        // Some message boxes received the message: tell which ones
+        return [
+          502,
+          { error: error.message, sent: error.sent, failed: error.failed },
+        ];
+      }
+    },
+    'GET /events': (req, url, res) => openEventStream(req, res),
+  };
+
+  /**
+   * Add a client to the events stream
+   * @param {import('http').IncomingMessage} req
+   * @param {import('http').ServerResponse} res
+   */
+  function openEventStream(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+    streams.add(res);
+    if (!subscription) startSubscription();
+
+    const heartbeat = setInterval(
+      () => res.write(': ping\n\n'),
+      heartbeatInterval
+    );
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      streams.delete(res);
+      if (streams.size === 0) stopSubscription();
+    });
+  }
+
+  function startSubscription() {
+    subscription = new MessageBoxSubscription(dataDir, accountId, {
+      interval,
+      client,
+      cursorName: 'api',
+    });
+    subscription.on('message', record => {
+      if (
+        record.type === 'HIP-1334_PUBLIC_KEY' ||
+        record.type === 'HIP-1334_PREKEYS'
+      ) {
+        return;
+      }
+      broadcast('message', JSON.stringify(toApiRecord(record)), record.id);
+    });
+    subscription.on('error', error => {
+      console.error('Error polling:', error.message);
+      broadcast('error', JSON.stringify({ error: error.message }));
+    });
+    // The subscription ends by itself when the message box cannot be resolved
+    const current = subscription;
+    current.on('end', () => {
+      if (subscription !== current) return;
+      subscription = null;
+      streams.forEach(res => res.end());
+    });
+    subscription.start();
+  }
+
+  function stopSubscription() {
+    if (!subscription) return;
+    const stopping = subscription;
+    subscription = null;
+    stopping
+      .stop()
+      .catch(error => console.error('Error stopping:', error.message));
+  }
+
+  function broadcast(event, data, id) {
+    const frame = `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${data}\n\n`;
+    streams.forEach(res => res.write(frame));
+  }
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (!isAuthorized(req.headers.authorization, tokenHash)) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        throw httpError(401, 'Missing or invalid bearer token');
+      }
+      const route = routes[`${req.method} ${url.pathname}`];
+      if (!route) {
+        const known = Object.keys(routes).some(key =>
+          key.endsWith(` ${url.pathname}`)
+        );
+        throw known
+          ? httpError(405, `Method ${req.method} not allowed`)
+          : httpError(404, `Unknown route ${url.pathname}`);
+      }
+
+      const result = await route(req, url, res);
+      if (res.headersSent) return;
+      const [status, body] = Array.isArray(result) ? result : [200, result];
+      sendJson(res, status, body);
+    } catch (error) {
+      const status = getErrorStatus(error);
+      if (status >= 500) {
+        console.error(`✗ ${req.method} ${url.pathname}: ${error.message}`);
+      }
+      if (!res.headersSent) sendJson(res, status, { error: error.message });
+    }
+  });
+
+  return server;
+}
+
+// == Private functions =======================================================
+
+/**
+ * Message record as returned by the API, without its raw envelope
+ * @param {import('./message-box').MessageRecord} record
+ * @returns {Object}
+ */
+function toApiRecord(record) {
+  const message = { ...record };
+  delete message.envelope;
+  return message;
+}
+
+/**
+ * Validate the body of a send request
+ * @param {Object} body
+ * @returns {{to: string[], message: string, options: Object}} Arguments of sendMessage
+ * @throws {Error} If the request is invalid (HTTP 400)
+ */
+function parseSendRequest(body) {
+  const {
+    to,
+    message = '',
+    cbor = false,
+    compression,
+    inReplyTo,
+    requestReceipt,
+    attachment,
+  } = body;
+  const recipients = [].concat(to || []);
+  if (
+    recipients.length === 0 ||
+    recipients.some(accountId => typeof accountId !== 'string')
+  ) {
+    throw httpError(400, '"to" must be an account ID or a list of account IDs');
+  }
+  if (typeof message !== 'string') {
+    throw httpError(400, '"message" must be a string');
+  }
+  if (!message && !attachment) {
+    throw httpError(400, '"message" or "attachment" is required');
+  }
+  if (
+    compression !== undefined &&
+    !['none', ...COMPRESSION_ALGORITHMS].includes(compression)
+  ) {
+    throw httpError(
+      400,
+      `"compression" must be one of none, ${COMPRESSION_ALGORITHMS.join(', ')}`
+    );
+  }
+  if (requestReceipt !== undefined && typeof requestReceipt !== 'boolean') {
+    throw httpError(400, '"requestReceipt" must be a boolean');
+  }
+
+  const options = {
+    useCBOR: cbor === true,
+    compression,
+    inReplyTo,
+    requestReceipt,
+  };
+  if (attachment) {
+    const { filename, data, mimeType } = attachment;
+    if (typeof filename !== 'string' || typeof data !== 'string') {
+      throw httpError(400, '"attachment" must have a filename and base64 data');
+    }
+    try {
+      options.attachment = createAttachment(
+        Buffer.from(data, 'base64'),
+        filename,
+        { mimeType }
+      );
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+  return { to: recipients, message, options };
+}
+
+/**
+ * @param {string|null} value - Query string parameter
+ * @param {string} name - Parameter name, for errors
+ * @returns {number|undefined}
+ * @throws {Error} If the value is not a positive integer (HTTP 400)
+ */
+function parseSequence(value, name) {
+  if (value === null) return undefined;
+  const sequence = Number(value);
+  if (!Number.isInteger(sequence) || sequence < 1) {
+    throw httpError(400, `${name} must be a positive integer`);
+  }
+  return sequence;
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {import('http').IncomingMessage} req
+ * @returns {Promise<Object>}
+ * @throws {Error} If the body is too large (HTTP 413) or not a JSON object (HTTP 400)
+ */
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_SIZE) {
+      throw httpError(413, `Body larger than ${MAX_BODY_SIZE} bytes`);
+    }
+    chunks.push(chunk);
+  }
+  let body;
+  try {
+    body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (error) {
+    throw httpError(400, `Invalid JSON body: ${error.message}`);
+  }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw httpError(400, 'The body must be a JSON object');
+  }
+  return body;
+}
+
+function sendJson(res, status, body) {
+  const json = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(json),
+  });
+  res.end(json);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * Check the bearer token in constant time
+ * @param {string} [authorization] - Authorization header
+ * @param {Buffer} tokenHash - SHA-256 of the expected token
+ * @returns {boolean}
+ */
+function isAuthorized(authorization, tokenHash) {
+  const match = /^Bearer (.+)$/.exec(authorization || '');
+  return (
+    Boolean(match) && crypto.timingSafeEqual(hashToken(match[1]), tokenHash)
+  );
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {Error} error
+ * @returns {number} HTTP status of the error
+ */
+function getErrorStatus(error) {
+  if (error.status) return error.status;
+  if (error instanceof MirrorNodeNotFoundError) return 404;
+  if (error instanceof MirrorNodeError) return 502;
+  return 500;
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  createApiServer,
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getNonNegativeIntegerEnv } = require('./env');
+
+// Default maximum attachment size in bytes (before encoding and encryption)
+const DEFAULT_MAX_ATTACHMENT_SIZE = 256 * 1024;
+
+// MIME types guessed from the file extension when not given
+const MIME_TYPES = {
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.gz': 'application/gzip',
+  '.html': 'text/html',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.mp3': 'audio/mpeg',
+  '.mp4': 'video/mp4',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.webp': 'image/webp',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip',
+};
+
+// == Public functions ========================================================
+
+/**
+ * Attachment carried inside the signed content of a message
+ * @typedef {Object} Attachment
+ * @property {string} filename - Original file name (without directories)
+ * @property {string} mimeType - MIME type
+ * @property {number} size - Size in bytes
+ * @property {string} sha256 - SHA-256 hash of the content (hex)
+ * @property {string} data - Content (base64)
+ */
+
+/**
+ * Build an attachment from binary data
+ * @param {Buffer} data - File content
+ * @param {string} filename - File name
+ * @param {Object} options - Optional parameters
+ * @param {string} [options.mimeType] - MIME type (guessed from the file name if not set)
+ * @param {number} [options.maxSize] - Maximum size in bytes (defaults to MAX_ATTACHMENT_SIZE or 256 KiB)
+ * @returns {Attachment}
+ * @throws {Error} If the attachment is empty or too large
+ */
+function createAttachment(data, filename, options = {}) {
+  const {
+    mimeType = guessMimeType(filename),
+    maxSize = getMaxAttachmentSize(),
+  } = options;
+  if (!Buffer.isBuffer(data)) {
+    throw new Error('Attachment data must be a Buffer');
+  }
+  if (data.length === 0) throw new Error('Attachment is empty');
+  if (data.length > maxSize) {
+    throw new Error(
+      `Attachment is too large (${data.length} bytes, max ${maxSize} bytes). Set MAX_ATTACHMENT_SIZE to allow larger files`
+    );
+  }
+
+  return {
+    filename: sanitizeFilename(filename),
+    mimeType,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Read a file into an attachment
+ * @param {string} filePath - Path of the file to attach
+ * @param {Object} options - Optional parameters, see createAttachment
+ * @returns {Attachment}
+ */
+function readAttachment(filePath, options = {}) {
+  let data;
+  try {
+    data = fs.readFileSync(filePath);
+  } catch (error) {
+    throw new Error(`Failed to read attachment ${filePath}: ${error.message}`);
+  }
+  return createAttachment(data, path.basename(filePath), options);
+}
+
+/**
+ * Decode a received attachment and check its size and hash
+ * @param {Object} attachment - Attachment from a decrypted message
+ * @returns {{metadata: {filename: string, mimeType: string, size: number, sha256: string}, data: Buffer}}
+ * @throws {Error} If the attachment is malformed or its content doesn't match its metadata
+ */
+function decodeAttachment(attachment) {
+  if (
+    !attachment ||
+    typeof attachment.filename !== 'string' ||
+    typeof attachment.data !== 'string' ||
+    typeof attachment.sha256 !== 'string'
+  ) {
+    throw new Error('Malformed attachment');
+  }
+
+  const data = Buffer.from(attachment.data, 'base64');
+  if (data.length !== attachment.size) {
+    throw new Error(
+      `Attachment size mismatch (expected ${attachment.size} bytes, got ${data.length})`
+    );
+  }
+  const sha256 = crypto.createHash('sha256').update(data).digest('hex');
+  if (sha256 !== attachment.sha256) {
+    throw new Error('Attachment hash mismatch');
+  }
+
+  return {
+    metadata: {
+      filename: sanitizeFilename(attachment.filename),
+      mimeType: String(attachment.mimeType || 'application/octet-stream'),
+      size: data.length,
+      sha256,
+    },
+    data,
+  };
+}
+
+/**
+ * Save a received attachment. Files are named after the message sequence number, so
+ * checking the same message again overwrites the same file instead of adding copies.
+ * @param {Buffer} data - Attachment content
+ * @param {string} filename - Sanitized file name
+ * @param {string} attachmentsDir - Folder where attachments are saved
+ * @param {number} sequenceNumber - Sequence number of the message
+ * @returns {string} Path of the saved file
+ */
+function saveAttachment(data, filename, attachmentsDir, sequenceNumber) {
+  fs.mkdirSync(attachmentsDir, { recursive: true });
+  const filePath = path.join(
+    attachmentsDir,
+    `${sequenceNumber}-${sanitizeFilename(filename)}`
+  );
+  fs.writeFileSync(filePath, data, { mode: 0o600 });
+  return filePath;
+}
+
+// == Private functions =======================================================
+
+/**
+ * Keep only the base name of a file name, and replace characters that are unsafe in paths
+ * @param {string} filename
+ * @returns {string}
+ */
+function sanitizeFilename(filename) {
+  const name = path
+    .basename(String(filename).replace(/\\/g, '/'))
+    .replace(/[^\w.\- ]/g, '_')
+    .slice(0, 200);
+  return !name || name.startsWith('.') ? `_${name}` : name;
+}
+
+/**
+ * @param {string} filename
+ * @returns {string} MIME type guessed from the file extension
+ */
+function guessMimeType(filename) {
+  const extension = path.extname(String(filename)).toLowerCase();
+  return MIME_TYPES[extension] || 'application/octet-stream';
+}
+
+/**
+ * @returns {number} Maximum attachment size in bytes
+ */
+function getMaxAttachmentSize() {
+  return getNonNegativeIntegerEnv(
+    'MAX_ATTACHMENT_SIZE',
+    DEFAULT_MAX_ATTACHMENT_SIZE
+  );
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  createAttachment,
+  readAttachment,
+  decodeAttachment,
+  saveAttachment,
+};
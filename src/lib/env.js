@@ -0,0 +1,24 @@
+// == Public functions ========================================================
+
+/**
+ * Read a count or duration setting from the environment. 0 is a valid value.
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value when the variable is not set
+ * @returns {number}
+ * @throws {Error} If the variable is not an integer of 0 or more
+ */
+function getNonNegativeIntegerEnv(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value.trim() === '') return defaultValue;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name} "${value}". Use an integer of 0 or more`);
+  }
+  return number;
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  getNonNegativeIntegerEnv,
+};
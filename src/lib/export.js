@@ -0,0 +1,252 @@
+// Supported export formats
+const EXPORT_FORMATS = ['json', 'ndjson', 'csv', 'mbox'];
+
+// Columns of the CSV export, in order
+const CSV_COLUMNS = [
+  'id',
+  'sequence',
+  'sequenceEnd',
+  'consensusTimestamp',
+  'timestamp',
+  'payer',
+  'sender',
+  'senderStatus',
+  'format',
+  'type',
+  'status',
+  'error',
+  'inReplyTo',
+  'attachment',
+  'plaintext',
+];
+
+// First characters that make spreadsheets read a CSV cell as a formula
+const CSV_FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Domain of the mbox addresses and message IDs (reserved, never resolves)
+const MBOX_DOMAIN = 'hip-1334.invalid';
+
+// == Public functions ========================================================
+
+/**
+ * Flat message record written by the exports
+ * @typedef {Object} ExportRecord
+ * @property {string} id - Message ID (e.g. '0.0.5678@42')
+ * @property {number} sequence - Sequence number (first chunk for chunked messages)
+ * @property {number} sequenceEnd - Sequence number of the last chunk
+ * @property {string} consensusTimestamp - Consensus timestamp (seconds.nanoseconds)
+ * @property {string} timestamp - Consensus timestamp in ISO format
+ * @property {string} payer - Account that paid for the transaction
+ * @property {string|null} sender - Sender account ID claimed in the message, if any
+ * @property {string|null} senderStatus - 'verified', 'unverified' or 'forged' (encrypted messages only)
+ * @property {string} format - Wire format: 'json', 'cbor' or 'plain'
+ * @property {string} type - 'HIP-1334_ENCRYPTED_MESSAGE', 'HIP-1334_PUBLIC_KEY', 'HIP-1334_PREKEYS' or 'PLAIN'
+ * @property {string} status - 'decrypted', 'failed' (cannot decrypt), 'plain', 'public-key' or 'prekeys'
+ * @property {string|null} error - Decryption error
+ * @property {string|null} inReplyTo - ID of the message this message replies to
+ * @property {string|null} attachment - File name of the attachment, if any
+ * @property {string|null} plaintext - Decrypted (or plain text) message
+ */
+
+/**
+ * Convert a message record to the flat record written by the exports
+ * @param {import('./message-box').MessageRecord} record
+ * @returns {ExportRecord}
+ */
+function toExportRecord(record) {
+  const statuses = {
+    'HIP-1334_ENCRYPTED_MESSAGE': record.error ? 'failed' : 'decrypted',
+    'HIP-1334_PUBLIC_KEY': 'public-key',
+    'HIP-1334_PREKEYS': 'prekeys',
+  };
+  return {
+    id: record.id,
+    sequence: record.sequence.start,
+    sequenceEnd: record.sequence.end,
+    consensusTimestamp: record.consensusTimestamp,
+    timestamp: record.timestamp,
+    payer: record.payer,
+    sender: record.sender ? record.sender.accountId : null,
+    senderStatus: record.sender ? record.sender.status : null,
+    format: record.format,
+    type: record.type,
+    status: statuses[record.type] || 'plain',
+    error: record.error,
+    inReplyTo: record.inReplyTo || null,
+    attachment: record.attachment ? record.attachment.filename : null,
+    plaintext: record.plaintext,
+  };
+}
+
+/**
+ * Write message records to a stream, page by page as they are read, so large
+ * message boxes can be exported without keeping every message in memory.
+ * The stream is not ended.
+ * @param {AsyncIterable<import('./message-box').MessageRecord[]>} pages - Pages of message records (see iterateMessages)
+ * @param {string} format - 'json', 'ndjson', 'csv' or 'mbox'
+ * @param {import('stream').Writable} output - Stream to write to (e.g. a file or process.stdout)
+ * @returns {Promise<number>} Number of exported messages
+ * @throws {Error} If the format is not supported, or the stream cannot be written
+ */
+async function exportMessages(pages, format, output) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Invalid export format "${format}". Use ${EXPORT_FORMATS.map(f => `'${f}'`).join(', ')}`
+    );
+  }
+
+  let count = 0;
+  if (format === 'json') await write(output, '[');
+  if (format === 'csv') await write(output, `${CSV_COLUMNS.join(',')}\r\n`);
+
+  for await (const page of pages) {
+    for (const record of page) {
+      const exported = toExportRecord(record);
+      if (format === 'json') {
+        await write(
+          output,
+          `${count > 0 ? ',' : ''}\n  ${JSON.stringify(exported)}`
+        );
+      } else if (format === 'ndjson') {
+        await write(output, `${JSON.stringify(exported)}\n`);
+      } else if (format === 'csv') {
+        await write(output, formatCsvRow(exported));
+      } else {
+        await write(output, formatMboxMessage(exported));
+      }
+      count++;
+    }
+  }
+
+  if (format === 'json') await write(output, count > 0 ? '\n]\n' : ']\n');
+  return count;
+}
+
+// == Private functions =======================================================
+
+/**
+ * Write to a stream and wait until the data is flushed, so memory stays bounded
+ * @param {import('stream').Writable} output
+ * @param {string} chunk
+ * @returns {Promise<void>}
+ */
+function write(output, chunk) {
+  return new Promise((resolve, reject) =>
+    output.write(chunk, error => (error ? reject(error) : resolve()))
+  );
+}
+
+/**
+ * Format a record as a CSV row (RFC 4180). Text cells that a spreadsheet would read as a
+ * formula are prefixed with a quote, so a message cannot run code when the export is opened.
+ * @param {ExportRecord} exported
+ * @returns {string}
+ */
+function formatCsvRow(exported) {
+  const cells = CSV_COLUMNS.map(column => {
+    let value = exported[column] == null ? '' : String(exported[column]);
+    if (
+      typeof exported[column] === 'string' &&
+      CSV_FORMULA_PREFIXES.includes(value[0])
+    ) {
+      value = `'${value}`;
+    }
+    return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+  });
+  return `${cells.join(',')}\r\n`;
+}
+
+/**
+ * Format a record as an mbox message (mboxrd: body lines starting with "From " are quoted).
+ * The sender claimed in the message is the From address only once verified, otherwise
+ * it's the payer, and the claimed sender is kept in the X-HIP-1334-Claimed-Sender header.
+ * @param {ExportRecord} exported
+ * @returns {string}
+ */
+function formatMboxMessage(exported) {
+  const verified = exported.sender && exported.senderStatus === 'verified';
+  const from = `${verified ? exported.sender : exported.payer}@${MBOX_DOMAIN}`;
+  const date = new Date(exported.timestamp);
+  const body =
+    exported.status === 'failed'
+      ? `(cannot decrypt: ${exported.error})`
+      : exported.plaintext || '';
+  const firstLine = body.split('\n')[0];
+  const subject =
+    firstLine.length > 60 ? `${firstLine.slice(0, 57)}...` : firstLine;
+
+  const headers = [
+    `From: ${from}`,
+    `Date: ${date.toUTCString()}`,
+    `Subject: ${encodeHeaderValue(subject)}`,
+    `Message-ID: ${toMboxMessageId(exported.id)}`,
+  ];
+  if (exported.inReplyTo) {
+    headers.push(`In-Reply-To: ${toMboxMessageId(exported.inReplyTo)}`);
+  }
+  headers.push(
+    `X-HIP-1334-Sequence: ${exported.sequence}`,
+    `X-HIP-1334-Payer: ${exported.payer}`,
+    `X-HIP-1334-Format: ${exported.format}`,
+    `X-HIP-1334-Status: ${exported.status}`
+  );
+  if (exported.senderStatus) {
+    headers.push(`X-HIP-1334-Sender-Status: ${exported.senderStatus}`);
+  }
+  if (exported.sender && !verified) {
+    headers.push(`X-HIP-1334-Claimed-Sender: ${exported.sender}`);
+  }
+  if (exported.attachment) {
+    headers.push(
+      `X-HIP-1334-Attachment: ${encodeHeaderValue(exported.attachment)}`
+    );
+  }
+  headers.push('Content-Type: text/plain; charset=utf-8');
+
+  const quotedBody = body
+    .replace(/\r\n?/g, '\n')
+    .replace(/^(>*From )/gm, '>$1');
+  return `From ${from} ${formatAsctime(date)}\n${headers
+    .map(header => header.replace(/[\r\n]+/g, ' '))
+    .join('\n')}\n\n${quotedBody}\n\n`;
+}
+
+/**
+ * @param {string} messageId - Message ID, e.g. '0.0.5678@42'
+ * @returns {string} Mail message ID, e.g. '<0.0.5678-42@hip-1334.invalid>'
+ */
+function toMboxMessageId(messageId) {
+  return `<${messageId.replace('@', '-')}@${MBOX_DOMAIN}>`;
+}
+
+/**
+ * Encode a header value as an RFC 2047 encoded word when it's not plain ASCII
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeHeaderValue(value) {
+  const singleLine = value.replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(singleLine)) return singleLine;
+  return `=?UTF-8?B?${Buffer.from(singleLine, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Format a date like C's asctime() in UTC, as used by mbox "From " lines
+ * @param {Date} date
+ * @returns {string} E.g. 'Mon Oct 19 09:05:00 2026'
+ */
+function formatAsctime(date) {
+  const [weekday, day, month, year, time] = date
+    .toUTCString()
+    .replace(',', '')
+    .split(' ');
+  return `${weekday} ${month} ${day.padStart(2, ' ')} ${time} ${year}`;
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  EXPORT_FORMATS,
+  toExportRecord,
+  exportMessages,
+};
@@ -5,9 +5,62 @@ const {
   PrivateKey,
   AccountUpdateTransaction,
   TopicMessageSubmitTransaction,
+  TopicMessageQuery,
+  Timestamp,
+  StatusError,
 } = require('@hashgraph/sdk');
+const http = require('http');
 const https = require('https');
 const crypto = require('crypto');
+const { getNonNegativeIntegerEnv } = require('./env');
+
+// Size of the chunks large topic messages are split into
+const HCS_CHUNK_SIZE = 1024;
+
+// == Errors ==================================================================
+
+/**
+ * Base class for Mirror Node request errors
+ */
+class MirrorNodeError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details
+   * @param {string} [details.url] - Requested URL
+   * @param {number|null} [details.statusCode] - HTTP status code, if a response was received
+   */
+  constructor(message, { url = null, statusCode = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.url = url;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * The requested resource (account, topic...) does not exist (HTTP 404)
+ */
+class MirrorNodeNotFoundError extends MirrorNodeError {}
+
+/**
+ * The Mirror Node could not be reached, or did not answer in time
+ */
+class MirrorNodeNetworkError extends MirrorNodeError {}
+
+/**
+ * The Mirror Node answered with an unexpected status (rate limit, server error...) or an invalid body
+ */
+class MirrorNodeResponseError extends MirrorNodeError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details] - Error details, see MirrorNodeError
+   * @param {number|null} [details.retryAfter] - Delay requested by the server before retrying (ms)
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
 
 // == Private functions ========================================================
 
@@ -21,13 +74,21 @@ function isTransactionSuccessful(receipt) {
 }
 
 /**
- * Helper to execute a transaction and get its receipt
+ * Helper to execute a transaction and get its receipt.
+ * Transactions rejected at precheck or failed at consensus resolve with their status,
+ * so callers can report them (e.g. which recipients of a message were not reached).
  * @param {import("@hashgraph/sdk").Transaction} transaction - The transaction to execute
  * @param {import("@hashgraph/sdk").Client} client - The Hedera client
- * @returns {Promise<import("@hashgraph/sdk").TransactionReceipt>} The transaction receipt
+ * @returns {Promise<import("@hashgraph/sdk").TransactionReceipt|{status: import("@hashgraph/sdk").Status}>} The transaction receipt
+ * @throws {Error} On network errors
  */
 async function executeAndGetReceipt(transaction, client) {
-  return transaction.execute(client).then(tx => tx.getReceipt(client));
+  try {
+    return await transaction.execute(client).then(tx => tx.getReceipt(client));
+  } catch (error) {
+    if (error instanceof StatusError) return { status: error.status };
+    throw error;
+  }
 }
 
 /**
@@ -106,6 +167,168 @@ function derivePublicKeyFromHederaKey(derPrivateKey) {
   }
 }
 
+/**
+ * Create a client used only to stream topic messages from the mirror node
+ * @returns {import("@hashgraph/sdk").Client} Client for HEDERA_NETWORK, without operator
+ */
+function createMirrorClient() {
+  const network = process.env.HEDERA_NETWORK || 'testnet';
+  return network.toLowerCase() === 'mainnet'
+    ? Client.forMainnet()
+    : Client.forTestnet();
+}
+
+/**
+ * Convert a streamed topic message to the chunk messages returned by the Mirror Node REST API
+ * @param {import("@hashgraph/sdk").TopicMessage} topicMessage - Message received from TopicMessageQuery
+ * @returns {Array} Messages in Mirror Node REST format, one per chunk
+ */
+function toMirrorNodeMessages(topicMessage) {
+  const txId = topicMessage.initialTransactionId;
+  const payer = txId ? txId.accountId.toString() : null;
+  const total = topicMessage.chunks.length;
+
+  return topicMessage.chunks.map((chunk, idx) => ({
+    consensus_timestamp: chunk.consensusTimestamp.toString(),
+    message: Buffer.from(chunk.contents).toString('base64'),
+    payer_account_id: payer,
+    sequence_number: chunk.sequenceNumber.toNumber(),
+    chunk_info:
+      txId && total > 1
+        ? {
+            initial_transaction_id: {
+              account_id: payer,
+              transaction_valid_start: txId.validStart.toString(),
+              nonce: txId.nonce ? txId.nonce.toNumber() : 0,
+            },
+            number: idx + 1,
+            total,
+          }
+        : null,
+  }));
+}
+
+/**
+ * Execute a single GET request to the Mirror Node
+ * @param {string} url - Full request URL
+ * @param {number} timeout - Request timeout in ms
+ * @returns {Promise<Object>} The parsed JSON response
+ */
+function mirrorNodeGet(url, timeout) {
+  const transport = url.startsWith('http:') ? http : https;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.get(url, res => {
+      let data = '';
+      res.on('data', chunk => (data += chunk));
+      res.on('error', error =>
+        reject(
+          new MirrorNodeNetworkError(
+            `Mirror Node request failed: ${error.message}`,
+            { url }
+          )
+        )
+      );
+      res.on('end', () => {
+        const { statusCode } = res;
+        if (statusCode === 404) {
+          reject(
+            new MirrorNodeNotFoundError(`Not found on Mirror Node: ${url}`, {
+              url,
+              statusCode,
+            })
+          );
+          return;
+        }
+        if (statusCode < 200 || statusCode >= 300) {
+          reject(
+            new MirrorNodeResponseError(
+              `Mirror Node responded with HTTP ${statusCode}`,
+              {
+                url,
+                statusCode,
+                retryAfter: parseRetryAfter(res.headers['retry-after']),
+              }
+            )
+          );
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(
+            new MirrorNodeResponseError(
+              `Failed to parse Mirror Node response: ${error.message}`,
+              { url, statusCode }
+            )
+          );
+        }
+      });
+    });
+
+    request.setTimeout(timeout, () =>
+      request.destroy(new Error(`timed out after ${timeout}ms`))
+    );
+    request.on('error', error =>
+      reject(
+        new MirrorNodeNetworkError(
+          `Mirror Node request failed: ${error.message}`,
+          { url }
+        )
+      )
+    );
+  });
+}
+
+/**
+ * Whether a failed Mirror Node request is worth retrying
+ * @param {Error} error - The request error
+ * @returns {boolean} True for network errors, rate limits and server errors
+ */
+function isRetryableMirrorNodeError(error) {
+  if (error instanceof MirrorNodeNetworkError) return true;
+  return (
+    error instanceof MirrorNodeResponseError &&
+    (error.statusCode === 429 || error.statusCode >= 500)
+  );
+}
+
+/**
+ * Exponential backoff with jitter: 500ms, 1s, 2s... (capped at 10s), randomized by up to 50%
+ * @param {number} attempt - Number of the failed attempt, starting from 0
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempt) {
+  const delay = Math.min(10000, 500 * 2 ** attempt);
+  return Math.round(delay / 2 + (Math.random() * delay) / 2);
+}
+
+/**
+ * Parse the Retry-After header (delay in seconds or HTTP date)
+ * @param {string} [header] - Header value
+ * @returns {number|null} Delay in ms (capped at 60s), or null if not set or invalid
+ */
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  const delay = Number.isNaN(seconds)
+    ? Date.parse(header) - Date.now()
+    : seconds * 1000;
+  if (Number.isNaN(delay)) return null;
+  return Math.min(60000, Math.max(0, delay));
+}
+
+/**
+ * Add context to an error message, preserving its class (e.g. MirrorNodeNotFoundError)
+ * @param {Error} error - The error to rethrow
+ * @param {string} context - Description of the failed operation
+ * @returns {Error} The same error with the context prepended to its message
+ */
+function withContext(error, context) {
+  error.message = `${context}: ${error.message}`;
+  return error;
+}
+
 // Public functions
 
 /**
@@ -143,57 +366,45 @@ function getMirrorNodeUrl() {
   const network = process.env.HEDERA_NETWORK || 'testnet';
   const defaultUrl =
     network.toLowerCase() === 'mainnet'
-      ? 'https://mainnet.mirrornode.hedera.com'
-      : 'https://testnet.mirrornode.hedera.com';
+      ? 'https://mainnet.mirrornode.hedera.com/api/v1'
+      : 'https://testnet.mirrornode.hedera.com/api/v1';
   return process.env.MIRROR_NODE_URL || defaultUrl;
 }
 
 /**
- * Helper function to make HTTPS requests to the Mirror Node
+ * Make a GET request to the Mirror Node, with timeout, retries and status handling.
+ * Network failures, timeouts, rate limits (429) and server errors (5xx) are retried with
+ * exponential backoff and jitter, honoring the Retry-After header when present.
  * @param {string} endpoint - The API endpoint path (e.g., '/accounts/0.0.123')
  * @param {Object} options - Request options
- * @param {boolean} [options.resolveOnError=false] - If true, resolves with null on error instead of rejecting
- * @returns {Promise<Object>} The parsed JSON response or response object with statusCode
+ * @param {number} [options.timeout] - Request timeout in ms (defaults to MIRROR_NODE_TIMEOUT_MS or 10000, 0 for no timeout)
+ * @param {number} [options.maxRetries] - Maximum number of retries (defaults to MIRROR_NODE_MAX_RETRIES or 3, 0 for no retries)
+ * @returns {Promise<Object>} The parsed JSON response
+ * @throws {MirrorNodeNotFoundError} If the resource does not exist
+ * @throws {MirrorNodeNetworkError} If the Mirror Node cannot be reached
+ * @throws {MirrorNodeResponseError} If the Mirror Node answers with an error status or an invalid body
  */
 async function mirrorNodeRequest(endpoint, options = {}) {
-  const { resolveOnError = false } = options;
-  const mirrorNodeUrl = getMirrorNodeUrl();
-  const url = `${mirrorNodeUrl}${endpoint}`;
-
-  return new Promise((resolve, reject) => {
-    https
-      .get(url, res => {
-        let data = '';
-        res.on('data', chunk => (data += chunk));
-        res.on('end', () => {
-          try {
-            const response = JSON.parse(data);
-            if (resolveOnError) {
-              resolve({ statusCode: res.statusCode, data: response });
-            } else {
-              resolve(response);
-            }
-          } catch (error) {
-            if (resolveOnError) {
-              resolve({ statusCode: res.statusCode, data: null, error });
-            } else {
-              reject(
-                new Error(
-                  `Failed to parse Mirror Node response: ${error.message}`
-                )
-              );
-            }
-          }
-        });
-      })
-      .on('error', error => {
-        if (resolveOnError) {
-          resolve({ statusCode: null, data: null, error });
-        } else {
-          reject(new Error(`Mirror Node request failed: ${error.message}`));
-        }
-      });
-  });
+  const {
+    timeout = getNonNegativeIntegerEnv('MIRROR_NODE_TIMEOUT_MS', 10000),
+    maxRetries = getNonNegativeIntegerEnv('MIRROR_NODE_MAX_RETRIES', 3),
+  } = options;
+  const url = `${getMirrorNodeUrl()}${endpoint}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await mirrorNodeGet(url, timeout);
+    } catch (error) {
+      if (!isRetryableMirrorNodeError(error) || attempt >= maxRetries) {
+        throw error;
+      }
+      const delay = error.retryAfter ?? getBackoffDelay(attempt);
+      console.debug(
+        `⚠ ${error.message}, retrying in ${delay}ms (${attempt + 1}/${maxRetries})`
+      );
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
 }
 
 /**
@@ -212,16 +423,14 @@ async function getAccountMemo(accountId) {
  * @returns {Promise<boolean>} True if the account exists, false otherwise.
  */
 async function isValidAccount(accountId) {
-  const result = await mirrorNodeRequest(`/accounts/${accountId}`, {
-    resolveOnError: true,
-  });
-
-  if (result.statusCode === 200 && result.data) {
+  try {
+    const account = await mirrorNodeRequest(`/accounts/${accountId}`);
     // Check if account exists and is not deleted
-    return result.data.account && !result.data.deleted;
+    return Boolean(account.account) && !account.deleted;
+  } catch (error) {
+    if (error instanceof MirrorNodeNotFoundError) return false;
+    throw withContext(error, `Failed to validate account ${accountId}`);
   }
-
-  return false;
 }
 
 /**
@@ -290,13 +499,20 @@ async function createTopic(client, memo, ownerPrivateKeyDer = null) {
 
 /**
  * Send a message to a topic.
+ * Large messages are split into as many chunks as needed (the SDK limits them to 20 by default).
  * @param {import("@hashgraph/sdk").Client} client - The Hedera client
  * @param {string} topicId - The topic ID
- * @param {string} message - The message to submit
- * @returns {Promise<{success: boolean, topicId?: string, error?: string}>} The result of the submission
+ * @param {string|Uint8Array} message - The message to submit
+ * @returns {Promise<{success: boolean, topicId?: string, sequenceNumber?: number|null, error?: string}>} The result of the submission
  */
 async function submitMessageToHCS(client, topicId, message) {
-  const transaction = new TopicMessageSubmitTransaction({ topicId, message });
+  const size =
+    typeof message === 'string' ? Buffer.byteLength(message) : message.length;
+  const transaction = new TopicMessageSubmitTransaction({
+    topicId,
+    message,
+    maxChunks: Math.max(20, Math.ceil(size / HCS_CHUNK_SIZE)),
+  });
   const receipt = await executeAndGetReceipt(transaction, client);
 
   const success = isTransactionSuccessful(receipt);
@@ -305,8 +521,13 @@ async function submitMessageToHCS(client, topicId, message) {
       ? `✓ Message submitted to ${topicId}`
       : `✗ Failed to submit message to ${topicId}`
   );
+  // For chunked messages, the receipt is the one of the first chunk
+  const sequenceNumber =
+    receipt.topicSequenceNumber != null
+      ? Number(receipt.topicSequenceNumber.toString())
+      : null;
   return success
-    ? { success: true, topicId }
+    ? { success: true, topicId, sequenceNumber }
     : { success: false, error: receipt.status.toString() };
 }
 
@@ -338,13 +559,120 @@ async function queryTopicMessages(topicId, options = {}) {
   return mirrorNodeRequest(endpoint);
 }
 
+/**
+ * Keep the chunks of an incomplete message in the buffer, unless it timed out
+ * @param {ChunkBuffer} chunkBuffer - Buffer of chunks kept across calls
+ * @param {Object} previousGroups - Buffered groups before this call
+ * @param {string} key - Chunk group key (initial transaction)
+ * @param {Object} group - Chunk group being reassembled
+ * @param {number} received - Number of chunks received so far
+ */
+function bufferIncompleteGroup(
+  chunkBuffer,
+  previousGroups,
+  key,
+  group,
+  received
+) {
+  const { timeout = 600000 } = chunkBuffer;
+  const firstSeenAt = previousGroups[key]
+    ? previousGroups[key].firstSeenAt
+    : Date.now();
+
+  if (Date.now() - firstSeenAt > timeout) {
+    console.warn(
+      `⚠ Dropping incomplete chunked message (transaction ${key}): ${received}/${group.total} chunks received before timeout`
+    );
+    return;
+  }
+
+  chunkBuffer.groups[key] = {
+    firstSeenAt,
+    chunks: group.rawChunks.filter(Boolean),
+  };
+  console.debug(
+    `⚙ Waiting for chunked message (transaction ${key}): ${received}/${group.total} chunks received`
+  );
+}
+
+/**
+ * Buffer of chunks from incomplete chunked messages, kept across polls.
+ * It's a plain object, so it can be persisted as JSON.
+ * @typedef {Object} ChunkBuffer
+ * @property {Object<string, {firstSeenAt: number, chunks: Array}>} groups - Raw chunks of incomplete messages, by initial transaction
+ * @property {number} [timeout=600000] - Time (ms) after which an incomplete message is dropped
+ * @property {number} [lastSequenceNumber] - Highest sequence number fetched (set by getNewMessages)
+ */
+
+/**
+ * Fetch the raw messages of a topic after a sequence number, one page at a time
+ * @param {string} topicId - The topic ID
+ * @param {number} afterSequence - Get messages after this sequence number
+ * @param {number} [endSequence] - Last sequence number to fetch (inclusive), fetches all if not set
+ * @yields {Array} Pages of raw messages from Mirror Node, in ascending order
+ */
+async function* fetchTopicMessagePages(topicId, afterSequence, endSequence) {
+  const pageSize = 100;
+  let lastSequence = afterSequence;
+
+  while (true) {
+    const response = await queryTopicMessages(topicId, {
+      sequenceNumber: lastSequence,
+      operator: 'gt',
+      order: 'asc',
+      limit: pageSize,
+    });
+    const messages = response.messages || [];
+
+    // If we have an end sequence and we've reached it, stop
+    const page = endSequence
+      ? messages.filter(msg => msg.sequence_number <= endSequence)
+      : messages;
+    if (page.length > 0) {
+      yield page;
+      lastSequence = page[page.length - 1].sequence_number;
+    }
+
+    // If we got fewer messages than the limit, we've reached the end
+    if (messages.length < pageSize || page.length < messages.length) return;
+  }
+}
+
+/**
+ * Fetch all the raw messages of a topic after a sequence number, page by page
+ * @param {string} topicId - The topic ID
+ * @param {number} afterSequence - Get messages after this sequence number
+ * @param {number} [endSequence] - Last sequence number to fetch (inclusive), fetches all if not set
+ * @returns {Promise<Array>} Raw messages from Mirror Node, in ascending order
+ */
+async function fetchTopicMessagesAfter(topicId, afterSequence, endSequence) {
+  const allMessages = [];
+  for await (const page of fetchTopicMessagePages(
+    topicId,
+    afterSequence,
+    endSequence
+  )) {
+    allMessages.push(...page);
+  }
+  return allMessages;
+}
+
 /**
  * Reassemble chunked messages from HCS
  * Messages larger than 1KB are split into multiple chunks by HCS
+ * If a chunk buffer is provided, chunks of incomplete messages are kept in the buffer and
+ * reassembled when the missing chunks arrive in a later call, or dropped after a timeout.
  * @param {Array} messages - Array of messages from Mirror Node
+ * @param {ChunkBuffer} [chunkBuffer] - Buffer of chunks kept across calls
  * @returns {Array} Array of reassembled messages
  */
-function reassembleChunkedMessages(messages) {
+function reassembleChunkedMessages(messages, chunkBuffer = null) {
+  if (chunkBuffer) {
+    // Add the buffered chunks back, they are reassembled with the new ones
+    const buffered = Object.values(chunkBuffer.groups).flatMap(g => g.chunks);
+    messages = [...buffered, ...(messages || [])];
+  }
+
   // Ensure we always return an array
   if (!messages || !Array.isArray(messages) || messages.length === 0) {
     return [];
@@ -379,6 +707,7 @@ function reassembleChunkedMessages(messages) {
         chunks: new Array(chunkTotal),
         metadata: { ...msg }, // Copy first chunk's metadata
         total: chunkTotal,
+        rawChunks: new Array(chunkTotal),
         minSequence: msg.sequence_number,
         maxSequence: msg.sequence_number,
         hasFirstChunk: chunkNum === 1, // Track if we have chunk #1
@@ -388,12 +717,16 @@ function reassembleChunkedMessages(messages) {
     const group = chunkedGroups.get(key);
     if (chunkNum === 1) group.hasFirstChunk = true;
     group.chunks[chunkNum - 1] = msg.message;
+    group.rawChunks[chunkNum - 1] = msg;
     if (msg.sequence_number < group.minSequence)
       group.minSequence = msg.sequence_number;
     if (msg.sequence_number > group.maxSequence)
       group.maxSequence = msg.sequence_number;
   });
 
+  const previousGroups = chunkBuffer ? chunkBuffer.groups : {};
+  if (chunkBuffer) chunkBuffer.groups = {};
+
   // Reassemble chunked messages
   chunkedGroups.forEach((group, key) => {
     // Skip groups that don't have the first chunk (incomplete/truncated)
@@ -416,7 +749,8 @@ function reassembleChunkedMessages(messages) {
       return;
     }
 
-    const allChunksPresent = group.chunks.every(
+    // Array.from turns the holes of missing chunks into undefined (every() skips holes)
+    const allChunksPresent = Array.from(group.chunks).every(
       chunk =>
         chunk !== undefined &&
         chunk !== null &&
@@ -460,6 +794,16 @@ function reassembleChunkedMessages(messages) {
         c =>
           c !== undefined && c !== null && typeof c === 'string' && c.length > 0
       ).length;
+      if (chunkBuffer) {
+        bufferIncompleteGroup(
+          chunkBuffer,
+          previousGroups,
+          key,
+          group,
+          received
+        );
+        return;
+      }
       console.warn(
         `⚠ Incomplete chunked message (transaction ${key}): ${received}/${group.total} chunks received`
       );
@@ -483,33 +827,39 @@ async function getLatestSequenceNumber(topicId) {
     });
     return response.messages?.[0]?.sequence_number || null;
   } catch (error) {
-    throw new Error(`Failed to get latest sequence number: ${error.message}`);
+    throw withContext(error, 'Failed to get latest sequence number');
   }
 }
 
 /**
- * Get new messages from a topic after a given sequence number
+ * Get new messages from a topic after a given sequence number.
+ * All the pages available on the Mirror Node are fetched.
  * @param {string} topicId - The topic ID
  * @param {number} afterSequenceNumber - Get messages after this sequence number
+ * @param {ChunkBuffer} [chunkBuffer] - Keeps incomplete chunked messages across calls. Its lastSequenceNumber
+ *   is set to the highest sequence number fetched, buffered chunks included.
  * @returns {Promise<Array>} Array of messages (with chunks reassembled)
  */
-async function getNewMessages(topicId, afterSequenceNumber) {
+async function getNewMessages(topicId, afterSequenceNumber, chunkBuffer) {
   try {
-    const response = await queryTopicMessages(topicId, {
-      sequenceNumber: afterSequenceNumber,
-      operator: 'gt',
-      order: 'asc',
-      limit: 100,
-    });
-    const messages = response.messages || [];
-    return reassembleChunkedMessages(messages);
+    const messages = await fetchTopicMessagesAfter(
+      topicId,
+      afterSequenceNumber
+    );
+    if (chunkBuffer) {
+      chunkBuffer.lastSequenceNumber = messages.length
+        ? messages[messages.length - 1].sequence_number
+        : afterSequenceNumber;
+    }
+    return reassembleChunkedMessages(messages, chunkBuffer);
   } catch (error) {
-    throw new Error(`Failed to get new messages: ${error.message}`);
+    throw withContext(error, 'Failed to get new messages');
   }
 }
 
 /**
  * Get the first message from a topic (typically contains public key)
+ * A chunked first message (e.g. a large RSA public key) is reassembled.
  * @param {string} topicId - The topic ID
  * @returns {Promise<Object|null>} The first message or null if no messages
  */
@@ -519,9 +869,81 @@ async function getFirstTopicMessage(topicId) {
       limit: 1,
       order: 'asc',
     });
-    return response.messages?.[0] || null;
+    const first = response.messages?.[0] || null;
+    if (!first?.chunk_info || first.chunk_info.total <= 1) return first;
+
+    // Other messages may be interleaved with the chunks: look for them in the next 100 messages
+    const { initial_transaction_id: txId } = first.chunk_info;
+    const chunks = (
+      await fetchTopicMessagesAfter(
+        topicId,
+        first.sequence_number - 1,
+        first.sequence_number + 100
+      )
+    ).filter(
+      msg =>
+        msg.chunk_info?.initial_transaction_id?.transaction_valid_start ===
+          txId.transaction_valid_start &&
+        msg.chunk_info.initial_transaction_id.account_id === txId.account_id
+    );
+    return reassembleChunkedMessages(chunks)[0] || null;
   } catch (error) {
-    throw new Error(`Failed to get first message: ${error.message}`);
+    throw withContext(error, 'Failed to get first message');
+  }
+}
+
+/**
+ * Find the most recent message of a topic matching a predicate, scanning from the newest message.
+ * Chunked messages are reassembled before being tested (their chunks are expected in order).
+ * @param {string} topicId - The topic ID
+ * @param {(message: Object) => Promise<boolean>} predicate - Called with each message, newest first
+ * @param {Object} options - Optional parameters
+ * @param {number} [options.afterSequence=0] - Stop scanning at this sequence number (exclusive),
+ *   unless the first chunks of a chunked message are still missing
+ * @returns {Promise<Object|null>} The matching message (with chunks reassembled), or null if none
+ */
+async function findLatestTopicMessage(topicId, predicate, options = {}) {
+  const { afterSequence = 0 } = options;
+  const pageSize = 100;
+  const pendingChunks = new Map(); // Chunks of messages whose first chunk is not reached yet
+  let beforeSequence = null;
+
+  while (true) {
+    let response;
+    try {
+      response = await queryTopicMessages(topicId, {
+        order: 'desc',
+        limit: pageSize,
+        sequenceNumber: beforeSequence,
+        operator: 'lt',
+      });
+    } catch (error) {
+      throw withContext(error, 'Failed to scan topic messages');
+    }
+    const messages = response.messages || [];
+
+    for (const msg of messages) {
+      if (msg.sequence_number <= afterSequence && pendingChunks.size === 0)
+        return null;
+      beforeSequence = msg.sequence_number;
+
+      let candidate = msg;
+      if (msg.chunk_info && msg.chunk_info.total > 1) {
+        const txId = msg.chunk_info.initial_transaction_id;
+        const key = `${txId.account_id}-${txId.transaction_valid_start}-${txId.nonce || 0}`;
+        const chunks = pendingChunks.get(key) || [];
+        chunks.push(msg);
+        pendingChunks.set(key, chunks);
+        if (msg.chunk_info.number !== 1) continue;
+
+        pendingChunks.delete(key);
+        [candidate] = reassembleChunkedMessages(chunks.reverse());
+        if (!candidate) continue;
+      }
+      if (await predicate(candidate)) return candidate;
+    }
+
+    if (messages.length < pageSize) return null;
   }
 }
 
@@ -534,46 +956,102 @@ async function getFirstTopicMessage(topicId) {
  */
 async function getMessagesInRange(topicId, startSequence, endSequence) {
   try {
-    const allMessages = [];
-    let hasMore = true;
-    let lastSequence = startSequence - 1;
-
-    while (hasMore) {
-      const response = await queryTopicMessages(topicId, {
-        sequenceNumber: lastSequence,
-        operator: 'gt',
-        order: 'asc',
-        limit: 100,
-      });
-
-      if (!response.messages || response.messages.length === 0) {
-        hasMore = false;
-        break;
-      }
-
-      for (const msg of response.messages) {
-        // If we have an end sequence and we've reached it, stop
-        if (endSequence && msg.sequence_number > endSequence) {
-          hasMore = false;
-          break;
-        }
-        // Only include messages >= startSequence
-        if (msg.sequence_number >= startSequence) {
-          allMessages.push(msg);
-        }
-        lastSequence = msg.sequence_number;
-      }
+    const allMessages = await fetchTopicMessagesAfter(
+      topicId,
+      startSequence - 1,
+      endSequence
+    );
+    return reassembleChunkedMessages(allMessages);
+  } catch (error) {
+    throw withContext(error, 'Failed to get messages in range');
+  }
+}
 
-      // If we got fewer messages than the limit, we've reached the end
-      if (response.messages.length < 100) {
-        hasMore = false;
-      }
+/**
+ * Iterate the messages in a range of a topic, one Mirror Node page at a time, so large
+ * histories are not loaded in memory at once. Chunked messages split across pages are
+ * reassembled when their last chunk is fetched.
+ * @param {string} topicId - The topic ID
+ * @param {number} startSequence - Starting sequence number (inclusive)
+ * @param {number} [endSequence] - Ending sequence number (inclusive), if not provided gets all messages from start
+ * @yields {Array} Pages of messages (with chunks reassembled)
+ */
+async function* iterateMessagesInRange(topicId, startSequence, endSequence) {
+  // Incomplete messages are kept until the end of the range
+  const chunkBuffer = { groups: {}, timeout: Infinity };
+  try {
+    for await (const page of fetchTopicMessagePages(
+      topicId,
+      startSequence - 1,
+      endSequence
+    )) {
+      const messages = reassembleChunkedMessages(page, chunkBuffer);
+      if (messages.length > 0) yield messages;
     }
-
-    return reassembleChunkedMessages(allMessages);
   } catch (error) {
-    throw new Error(`Failed to get messages in range: ${error.message}`);
+    throw withContext(error, 'Failed to get messages in range');
   }
+
+  // Report the messages still incomplete at the end of the range
+  const leftover = Object.values(chunkBuffer.groups).flatMap(g => g.chunks);
+  if (leftover.length > 0) reassembleChunkedMessages(leftover);
+}
+
+/**
+ * Subscribe to a topic using the mirror node streaming API (TopicMessageQuery).
+ * Each streamed message is converted to the Mirror Node REST format and goes through
+ * the same chunk reassembly as REST results.
+ * @param {string} topicId - The topic ID
+ * @param {Object} options - Subscription options
+ * @param {string} [options.startTime] - Consensus timestamp to start from (inclusive), in Mirror Node format (seconds.nanoseconds)
+ * @param {import("@hashgraph/sdk").Client} [options.client] - Client to use, a mirror-only client for HEDERA_NETWORK is created if not set
+ * @param {number} [options.maxAttempts=3] - Reconnection attempts before the stream is considered dropped
+ * @param {(message: Object) => void} options.onMessage - Called with each reassembled message
+ * @param {(error: Error) => void} options.onError - Called once when the stream drops
+ * @returns {{unsubscribe: () => void}} Subscription handle
+ */
+function subscribeToTopic(topicId, options) {
+  const { startTime, maxAttempts = 3, onMessage, onError } = options;
+  const client = options.client || createMirrorClient();
+  let closed = false;
+  let handle = null;
+
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    if (handle) handle.unsubscribe();
+    if (!options.client) client.close();
+  };
+  const fail = error => {
+    if (closed) return;
+    close();
+    onError(error);
+  };
+  const streamFailed = error =>
+    fail(new Error(`Topic stream failed: ${error.message}`));
+  const receive = chunks => {
+    const [message] = reassembleChunkedMessages(chunks);
+    if (message) onMessage(message);
+  };
+
+  const query = new TopicMessageQuery()
+    .setTopicId(topicId)
+    .setMaxAttempts(maxAttempts)
+    .setCompletionHandler(() => fail(new Error('Topic stream completed')));
+  if (startTime) {
+    const [seconds, nanos = '0'] = String(startTime).split('.');
+    query.setStartTime(
+      new Timestamp(Number(seconds), Number(nanos.padEnd(9, '0')))
+    );
+  }
+
+  handle = query.subscribe(
+    client,
+    (message, error) => streamFailed(error),
+    topicMessage => receive(toMirrorNodeMessages(topicMessage))
+  );
+
+  return { unsubscribe: close };
 }
 
 /**
@@ -613,8 +1091,9 @@ async function getAccountPublicKey(accountId) {
       keyType,
     };
   } catch (error) {
-    throw new Error(
-      `Failed to get public key for account ${accountId}: ${error.message}`
+    throw withContext(
+      error,
+      `Failed to get public key for account ${accountId}`
     );
   }
 }
@@ -622,6 +1101,10 @@ async function getAccountPublicKey(accountId) {
 // == Exports =================================================================
 
 module.exports = {
+  MirrorNodeError,
+  MirrorNodeNotFoundError,
+  MirrorNodeNetworkError,
+  MirrorNodeResponseError,
   getAccountMemo,
   isValidAccount,
   createTopic,
@@ -631,7 +1114,10 @@ module.exports = {
   getLatestSequenceNumber,
   getNewMessages,
   getFirstTopicMessage,
+  findLatestTopicMessage,
   getMessagesInRange,
+  iterateMessagesInRange,
+  subscribeToTopic,
   parseHederaPrivateKey,
   derivePublicKeyFromHederaKey,
   getAccountPublicKey,
@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  deriveStorageKey,
+  encryptStorageData,
+  decryptStorageData,
+} = require('./crypto');
+
+// Version of the inbox file format (1: plaintext, 2: encrypted)
+const INBOX_VERSION = 2;
+
+// Filters accepted by listInbox
+const INBOX_FILTERS = ['inbox', 'unread', 'read', 'archived', 'all'];
+
+// == Public functions ========================================================
+
+/**
+ * Message stored in the local inbox: the decrypted message record without its raw
+ * envelope, and the flags set by the owner
+ * @typedef {Object} InboxMessage
+ * @property {boolean} read - Whether the message was read
+ * @property {boolean} archived - Whether the message was archived
+ * @property {string} storedAt - When the message was stored (ISO format)
+ * (other properties: see MessageRecord in message-box.js)
+ */
+
+/**
+ * Derive the key encrypting the inbox from a message box private key. The inbox keeps
+ * the read and archived flags, so unlike the search index it can't be rebuilt after a key
+ * rotation: it is read with the keys derived from the retired keys too (see getInboxKeys
+ * in message-box.js).
+ * @param {string|Object} privateKey - Private key of the message box (RSA PEM or ECIES key)
+ * @param {string} accountId
+ * @returns {Buffer} AES-256 key
+ */
+function deriveInboxKey(privateKey, accountId) {
+  return deriveStorageKey(privateKey, accountId, 'hiero-message-box inbox');
+}
+
+/**
+ * Store received message records in the local inbox. Messages already stored keep
+ * their flags (they are only marked read when `read` is set), and deleted messages
+ * are not stored again. Public key messages, prekeys and receipts are not stored.
+ * Forward secret messages (decrypted with a one-time prekey) are not stored either, unless
+ * asked for: the inbox key is derived from the long-term key, so the inbox would expose
+ * them to whoever gets that key.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {import('./message-box').MessageRecord[]} records - Received message records
+ * @param {Object} options - Optional parameters
+ * @param {boolean} [options.read=false] - Mark the messages as read (e.g. when they are shown)
+ * @param {number} [options.lastSequenceNumber] - Last synced sequence number (defaults to the last record)
+ * @param {boolean} [options.storeForwardSecret] - Store forward secret messages too (defaults to false unless STORE_FORWARD_SECRET=true)
+ * @returns {number} Number of new messages stored
+ */
+function saveToInbox(dataDir, accountId, keys, records, options = {}) {
+  const {
+    read = false,
+    storeForwardSecret = process.env.STORE_FORWARD_SECRET === 'true',
+  } = options;
+  const inbox = loadInbox(dataDir, accountId, keys);
+  const deleted = new Set(inbox.deleted);
+  let added = 0;
+  let changed = false;
+
+  for (const record of records) {
+    if (
+      record.type === 'HIP-1334_PUBLIC_KEY' ||
+      record.type === 'HIP-1334_PREKEYS' ||
+      record.receipt ||
+      (record.forwardSecret && !storeForwardSecret)
+    ) {
+      continue;
+    }
+    if (deleted.has(record.id)) continue;
+    const stored = inbox.messages[record.id];
+    if (stored) {
+      if (read && !stored.read) {
+        stored.read = true;
+        changed = true;
+      }
+      continue;
+    }
+    // The raw envelope is not needed once decrypted
+    const message = { ...record };
+    delete message.envelope;
+    inbox.messages[record.id] = {
+      ...message,
+      read,
+      archived: false,
+      storedAt: new Date().toISOString(),
+    };
+    added++;
+  }
+
+  const lastSequenceNumber =
+    options.lastSequenceNumber ??
+    Math.max(0, ...records.map(record => record.sequence.end));
+  if (lastSequenceNumber > inbox.lastSequenceNumber) {
+    inbox.lastSequenceNumber = lastSequenceNumber;
+    changed = true;
+  }
+  // Idle polls don't rewrite the file
+  if (added > 0 || changed) saveInbox(dataDir, accountId, keys, inbox);
+  return added;
+}
+
+/**
+ * List the messages of the local inbox, oldest first. Works offline.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {Object} options - Optional parameters
+ * @param {string} [options.filter='inbox'] - 'inbox' (not archived), 'unread', 'read', 'archived' or 'all'
+ * @returns {InboxMessage[]}
+ */
+function listInbox(dataDir, accountId, keys, options = {}) {
+  const { filter = 'inbox' } = options;
+  if (!INBOX_FILTERS.includes(filter)) {
+    throw new Error(
+      `Invalid filter "${filter}". Use ${INBOX_FILTERS.map(f => `'${f}'`).join(', ')}`
+    );
+  }
+  const predicates = {
+    inbox: message => !message.archived,
+    unread: message => !message.archived && !message.read,
+    read: message => !message.archived && message.read,
+    archived: message => message.archived,
+    all: () => true,
+  };
+  return Object.values(loadInbox(dataDir, accountId, keys).messages)
+    .filter(predicates[filter])
+    .sort((a, b) => a.sequence.start - b.sequence.start);
+}
+
+/**
+ * Get the summary of the local inbox
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @returns {{lastSequenceNumber: number, total: number, unread: number, archived: number}}
+ */
+function getInboxSummary(dataDir, accountId, keys) {
+  const inbox = loadInbox(dataDir, accountId, keys);
+  const messages = Object.values(inbox.messages);
+  return {
+    lastSequenceNumber: inbox.lastSequenceNumber,
+    total: messages.length,
+    unread: messages.filter(m => !m.archived && !m.read).length,
+    archived: messages.filter(m => m.archived).length,
+  };
+}
+
+/**
+ * Mark messages of the local inbox as read or unread
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {string[]} messageIds
+ * @param {boolean} [read=true]
+ * @returns {number} Number of updated messages
+ * @throws {Error} If a message is not in the inbox
+ */
+function markRead(dataDir, accountId, keys, messageIds, read = true) {
+  return updateMessages(dataDir, accountId, keys, messageIds, message => {
+    message.read = read;
+  });
+}
+
+/**
+ * Archive messages of the local inbox, or move them back to the inbox
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {string[]} messageIds
+ * @param {boolean} [archived=true]
+ * @returns {number} Number of updated messages
+ * @throws {Error} If a message is not in the inbox
+ */
+function archiveMessages(
+  dataDir,
+  accountId,
+  keys,
+  messageIds,
+  archived = true
+) {
+  return updateMessages(dataDir, accountId, keys, messageIds, message => {
+    message.archived = archived;
+  });
+}
+
+/**
+ * Delete messages from the local inbox. They stay on the ledger, but are not stored
+ * again when the message box is synced.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {string[]} messageIds
+ * @returns {number} Number of deleted messages
+ * @throws {Error} If a message is not in the inbox
+ */
+function deleteMessages(dataDir, accountId, keys, messageIds) {
+  const inbox = loadInbox(dataDir, accountId, keys);
+  checkMessageIds(inbox, messageIds);
+  for (const messageId of messageIds) {
+    delete inbox.messages[messageId];
+    if (!inbox.deleted.includes(messageId)) inbox.deleted.push(messageId);
+  }
+  saveInbox(dataDir, accountId, keys, inbox);
+  return messageIds.length;
+}
+
+// == Private functions =======================================================
+
+/**
+ * Apply a change to messages of the inbox and save it
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {string[]} messageIds
+ * @param {(message: InboxMessage) => void} update
+ * @returns {number} Number of updated messages
+ */
+function updateMessages(dataDir, accountId, keys, messageIds, update) {
+  const inbox = loadInbox(dataDir, accountId, keys);
+  checkMessageIds(inbox, messageIds);
+  messageIds.forEach(messageId => update(inbox.messages[messageId]));
+  saveInbox(dataDir, accountId, keys, inbox);
+  return messageIds.length;
+}
+
+/**
+ * @param {Object} inbox
+ * @param {string[]} messageIds
+ * @throws {Error} If no message ID is given, or a message is not in the inbox
+ */
+function checkMessageIds(inbox, messageIds) {
+  if (messageIds.length === 0) throw new Error('No message ID specified');
+  const missing = messageIds.filter(id => !inbox.messages[id]);
+  if (missing.length > 0) {
+    throw new Error(`Message(s) not found in the inbox: ${missing.join(', ')}`);
+  }
+}
+
+function getInboxFilePath(dataDir, accountId) {
+  return path.join(dataDir || './data', `inbox_${accountId}.json`);
+}
+
+/**
+ * Load the inbox of the account. An inbox saved with a retired key, or in plaintext by
+ * an older version, is encrypted again with the current key.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @returns {{lastSequenceNumber: number, messages: Object<string, InboxMessage>, deleted: string[]}}
+ * @throws {Error} If the inbox file is invalid, or no key decrypts it
+ */
+function loadInbox(dataDir, accountId, keys) {
+  const inboxFile = getInboxFilePath(dataDir, accountId);
+  if (!fs.existsSync(inboxFile)) {
+    return { lastSequenceNumber: 0, messages: {}, deleted: [] };
+  }
+  let stored;
+  let keyIndex = 0;
+  let plaintext = false;
+  try {
+    const { version, ...file } = JSON.parse(fs.readFileSync(inboxFile, 'utf8'));
+    if (version === 1) {
+      stored = file;
+      plaintext = true;
+    } else if (version === INBOX_VERSION) {
+      keyIndex = keys.findIndex(key => {
+        try {
+          stored = JSON.parse(decryptStorageData(file, key, accountId));
+          return true;
+        } catch {
+          return false;
+        }
+      });
+      if (keyIndex === -1) {
+        throw new Error('cannot decrypt it with the message box keys');
+      }
+    } else {
+      throw new Error(`unsupported version ${version}`);
+    }
+  } catch (error) {
+    throw new Error(`Invalid inbox ${inboxFile}: ${error.message}`);
+  }
+
+  const inbox = {
+    lastSequenceNumber: stored.lastSequenceNumber || 0,
+    messages: stored.messages || {},
+    deleted: stored.deleted || [],
+  };
+  if (plaintext || keyIndex > 0) {
+    saveInbox(dataDir, accountId, keys, inbox);
+  }
+  return inbox;
+}
+
+/**
+ * Encrypt and save the inbox with the current key, replacing the current one. The file
+ * is readable by the owner only, and replaced atomically to survive crashes mid-write.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer[]} keys - Inbox keys, the current one first (see deriveInboxKey)
+ * @param {{lastSequenceNumber: number, messages: Object<string, InboxMessage>, deleted: string[]}} inbox
+ */
+function saveInbox(dataDir, accountId, keys, inbox) {
+  const encrypted = encryptStorageData(
+    JSON.stringify({ ...inbox, updatedAt: new Date().toISOString() }),
+    keys[0],
+    accountId
+  );
+
+  const inboxFile = getInboxFilePath(dataDir, accountId);
+  const dir = path.dirname(inboxFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpFile = `${inboxFile}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({ version: INBOX_VERSION, accountId, ...encrypted }),
+    { encoding: 'utf8', mode: 0o600 }
+  );
+  fs.renameSync(tmpFile, inboxFile);
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  INBOX_FILTERS,
+  deriveInboxKey,
+  saveToInbox,
+  listInbox,
+  getInboxSummary,
+  markRead,
+  archiveMessages,
+  deleteMessages,
+};
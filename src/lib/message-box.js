@@ -10,19 +10,63 @@ const {
   getLatestSequenceNumber,
   getNewMessages,
   getFirstTopicMessage,
+  findLatestTopicMessage,
   getMessagesInRange,
+  iterateMessagesInRange,
   parseHederaPrivateKey,
   derivePublicKeyFromHederaKey,
   getAccountPublicKey,
+  MirrorNodeNotFoundError,
 } = require('./hedera');
 const {
   encryptMessage,
+  encryptMessageMulti,
   decryptMessage,
+  COMPRESSION_ALGORITHMS,
+  compressPayload,
+  decompressPayload,
+  isEncryptedPrivateKeyPEM,
+  encryptPrivateKeyPEM,
+  decryptPrivateKeyPEM,
+  convertED25519ToX25519,
+  RSA_KEY_SIZES,
+  getCipherSuites,
+  selectCipherSuite,
   encodeCBOR,
   decodeCBOR,
   signMessage,
   verifySignature,
 } = require('./crypto');
+const { getNonNegativeIntegerEnv } = require('./env');
+const { decodeAttachment, saveAttachment } = require('./attachments');
+const { saveToInbox, deriveInboxKey } = require('./inbox');
+const {
+  createPrekeys,
+  getPrekeyPrivateKey,
+  markPrekeyUsed,
+  deleteUsedPrekeys,
+  countPrekeys,
+} = require('./prekeys');
+const {
+  deriveSearchIndexKey,
+  loadSearchIndex,
+  saveSearchIndex,
+  indexMessages,
+  querySearchIndex,
+} = require('./search');
+
+// == Errors ==================================================================
+
+/**
+ * A public key message is signed by the owner's account, but not with its current key
+ * (e.g. after an account key update)
+ */
+class PublicKeySignerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
 
 // == Public functions ========================================================
 
@@ -49,13 +93,11 @@ const {
  */
 async function setupMessageBox(client, dataDir, accountId, options = {}) {
   const { skipPrompts = false } = options;
-  let encryptionType = getEncryptionType();
+  const encryptionType = getEncryptionType();
   const { publicKey, privateKey } = await loadOrGenerateKeyPair(
     dataDir,
     encryptionType
   );
-  // Re-fetch encryption type in case it was changed during key loading (ED25519 -> RSA fallback)
-  encryptionType = getEncryptionType();
 
   const ownerPrivateKey = getOwnerPrivateKey();
   const accountMemo = await getAccountMemo(accountId);
@@ -88,6 +130,7 @@ async function setupMessageBox(client, dataDir, accountId, options = {}) {
     } else if (status.exists && status.hasPublicKey) {
       const keysMatch = await verifyKeyPairMatchesTopic(
         messageBoxId,
+        accountId,
         privateKey,
         encryptionType
       );
@@ -95,6 +138,9 @@ async function setupMessageBox(client, dataDir, accountId, options = {}) {
         console.warn(
           `\n⚠ WARNING: Your keys cannot decrypt messages for message box ${messageBoxId}!`
         );
+        console.log(
+          '💡 Tip: To keep the message box and its history, rotate its key instead: npm run rotate-message-box-key'
+        );
         if (!skipPrompts) {
           const confirmed = await promptYesNo(
             '? Create new message box? (yes/no): '
@@ -112,6 +158,7 @@ async function setupMessageBox(client, dataDir, accountId, options = {}) {
         console.log(
           `✓ Existing message box ${messageBoxId} is valid and keys match.`
         );
+        if (encryptionType === 'RSA') warnIfRSAKeyTooSmall(publicKey);
         needsNewMessageBox = false;
       }
     }
@@ -153,6 +200,39 @@ async function setupMessageBox(client, dataDir, accountId, options = {}) {
   return { success: true, messageBoxId };
 }
 
+/**
+ * Get the status of the account's message box from the Mirror Node. Works for any
+ * account, and needs no keys.
+ * @param {string} accountId
+ * @returns {Promise<{accountId: string, messageBoxId: string|null, exists: boolean, hasPublicKey: boolean, lastSequenceNumber: number|null}>}
+ *   `messageBoxId` is null when the account memo doesn't point to a message box
+ */
+async function getMessageBoxStatus(accountId) {
+  const messageBoxId = extractMessageBoxIdFromMemo(
+    await getAccountMemo(accountId)
+  );
+  if (!messageBoxId) {
+    return {
+      accountId,
+      messageBoxId: null,
+      exists: false,
+      hasPublicKey: false,
+      lastSequenceNumber: null,
+    };
+  }
+
+  const { exists, hasPublicKey } = await checkMessageBoxStatus(messageBoxId);
+  return {
+    accountId,
+    messageBoxId,
+    exists,
+    hasPublicKey: Boolean(hasPublicKey),
+    lastSequenceNumber: exists
+      ? await getLatestSequenceNumber(messageBoxId)
+      : null,
+  };
+}
+
 /**
  * Removes the message box for the account by clearing the account memo.
  * @param {import("@hashgraph/sdk").Client} Hedera client
@@ -183,188 +263,556 @@ async function removeMessageBox(client, accountId) {
 }
 
 /**
- * Send an encrypted message to the recipient's message box.
- * @param {import("@hashgraph/sdk").Client} Hedera client
- * @param {string} recipientAccountId
- * @param {string} message
+ * Rotates the encryption key of the account's message box, keeping the same topic.
+ * A new signed HIP-1334_PUBLIC_KEY message with the next key version is published to the
+ * message box: senders use the validly signed key with the highest version, and the retired
+ * private key is kept in the keyring (data directory) so older messages can still be decrypted.
+ * The new key is saved before it is published, and the key files are restored if publishing fails.
+ *
+ * RSA: a new key pair is generated. ECIES: the key is derived from the owner's account key,
+ * so the account key must be updated first. Pass the previous account key to keep decrypting
+ * the messages encrypted with it.
+ * @param {import("@hashgraph/sdk").Client} client
+ * @param {string} dataDir
+ * @param {string} accountId
  * @param {Object} options - Optional parameters
- * @param {boolean} [options.useCBOR=false] - Whether to use CBOR encoding
+ * @param {string} [options.previousPrivateKey] - ECIES only: previous DER-encoded account private key, added to the keyring
+ * @returns {Promise<{success: boolean, messageBoxId: string}>}
  */
-async function sendMessage(client, recipientAccountId, message, options = {}) {
-  if (!(await isValidAccount(recipientAccountId))) {
-    throw new Error(
-      `${recipientAccountId} is not a valid Hedera account. Please note you need to specify an account with a message box configured. Don't send messages the message box directly.`
-    );
-  }
-
-  console.log(`⚙ Sending message to account ${recipientAccountId}...`);
-  const { useCBOR = false } = options;
-
-  const accountMemo = await getAccountMemo(recipientAccountId);
-  console.debug(`✓ Account memo: "${accountMemo}"`);
+async function rotateMessageBoxKey(client, dataDir, accountId, options = {}) {
+  const { previousPrivateKey } = options;
+  const encryptionType = getEncryptionType();
+  const ownerPrivateKey = getOwnerPrivateKey();
 
+  const accountMemo = await getAccountMemo(accountId);
   const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
   if (!messageBoxId)
-    throw new Error(
-      `Message box ID not found for account ${recipientAccountId}`
-    );
-  console.log(`✓ Message box ID: ${messageBoxId}`);
+    throw new Error(`Message box ID not found for account ${accountId}`);
+  console.log(`✓ Found message box ${messageBoxId} for account ${accountId}`);
 
-  console.log('⚙ Getting first message from message box...');
-  const response = await getFirstTopicMessage(messageBoxId);
-  if (!response.message) throw new Error('No messages found in topic');
-  console.log('✓ First message retrieved');
+  // After an account key update, the published key is not validly signed anymore. Other
+  // errors (e.g. the Mirror Node is down) must not restart the key versions
+  let latest = null;
+  try {
+    latest = await getLatestPublicKey(messageBoxId, accountId);
+  } catch (error) {
+    if (!(error instanceof PublicKeySignerError)) throw error;
+  }
+  const keyVersion = latest ? getKeyVersion(latest.payload) + 1 : 1;
+  // Restored if publishing fails
+  const keyFiles = snapshotKeyFiles(dataDir);
 
-  // Parse the first message
-  const messageContent = Buffer.from(response.message, 'base64').toString(
-    'utf8'
-  );
-  const firstMessage = JSON.parse(messageContent);
+  let newKeyPair;
+  if (encryptionType === 'ECIES') {
+    newKeyPair = deriveECIESKeyPair(ownerPrivateKey);
+    if (
+      latest &&
+      canonicalJSON(latest.payload.publicKey) ===
+        canonicalJSON(newKeyPair.publicKey)
+    ) {
+      throw new Error(
+        'The ECIES key is derived from the account key, which has not changed. Update the account key first, then rotate.'
+      );
+    }
+    if (previousPrivateKey) {
+      await retireKeyPair(
+        dataDir,
+        'ECIES',
+        deriveECIESKeyPair(previousPrivateKey)
+      );
+    } else {
+      console.warn(
+        '⚠ WARNING: No previous account key given, messages encrypted with the previous key cannot be decrypted'
+      );
+    }
+  } else {
+    console.log(`⚙ Generating new RSA-${getRSAKeySize()} key pair...`);
+    newKeyPair = createRSAKeyPair();
+  }
 
-  console.log('⚙ Verifying message box ownership via signature...');
+  // Save first: once the key is published, senders may use it right away
+  if (encryptionType === 'RSA') {
+    if (fs.existsSync(getPrivateKeyFilePath(dataDir))) {
+      await retireKeyPair(
+        dataDir,
+        'RSA',
+        await loadOrGenerateRSAKeyPair(dataDir)
+      );
+    }
+    await saveRSAKeyPair(dataDir, newKeyPair);
+    console.log(`✓ New RSA key pair saved to ${dataDir}`);
+  }
 
-  // Check if the message has the new structure with payload and proof
-  if (!firstMessage.payload || !firstMessage.proof) {
-    throw new Error(
-      '⚠ SECURITY WARNING: First message does not have the required structure!\n' +
-        '  Expected: { payload: {...}, proof: {...} }\n' +
-        '  This message box may be using an old format or could be fraudulent.\n' +
-        '  Refusing to send message for security reasons.'
+  try {
+    await publishPublicKey(
+      client,
+      messageBoxId,
+      newKeyPair.publicKey,
+      encryptionType,
+      accountId,
+      ownerPrivateKey,
+      keyVersion
+    );
+  } catch (error) {
+    // The current key stays in use
+    restoreKeyFiles(keyFiles);
+    console.warn(
+      `⚠ Key rotation failed, the previous key of message box ${messageBoxId} is restored`
     );
+    throw error;
+  } finally {
+    publicKeyCache.delete(messageBoxId);
   }
 
-  const { payload, proof } = firstMessage;
+  console.log(
+    `✓ Encryption key of message box ${messageBoxId} rotated to version ${keyVersion} (encryption: ${encryptionType})`
+  );
+  return { success: true, messageBoxId };
+}
 
-  // Check if proof has all required fields
-  if (
-    !proof.signature ||
-    !proof.signerPublicKey ||
-    !proof.signerKeyType ||
-    !proof.accountId
-  ) {
+/**
+ * Publish a batch of signed one-time prekeys (X25519) to the message box, for forward secrecy.
+ * Senders encrypt each message for an unused prekey of the latest batch. Once the listener
+ * receives a message encrypted with a prekey, the prekey is marked used, and deleted when the
+ * next batch is published: leaking the message box keys later doesn't expose these messages.
+ * The private keys are stored in the data directory before publishing, and the unused prekeys
+ * of previous batches are kept until used.
+ * @param {import("@hashgraph/sdk").Client} client
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Object} options - Optional parameters
+ * @param {number} [options.count] - Number of prekeys (defaults to PREKEY_BATCH_SIZE or 20, at most 100)
+ * @returns {Promise<{success: boolean, messageBoxId: string, count: number}>}
+ */
+async function publishPrekeys(client, dataDir, accountId, options = {}) {
+  const { count = getNonNegativeIntegerEnv('PREKEY_BATCH_SIZE', 20) } = options;
+  if (!Number.isInteger(count) || count < 1 || count > 100) {
     throw new Error(
-      '⚠ SECURITY WARNING: First message proof does not contain required fields!\n' +
-        '  This message box may be using an old format or could be fraudulent.\n' +
-        '  Refusing to send message for security reasons.'
+      `Invalid number of prekeys "${count}". Use a number from 1 to 100`
     );
   }
+  const ownerPrivateKey = getOwnerPrivateKey();
 
-  // Verify that the accountId in the proof matches the recipient
-  if (proof.accountId !== recipientAccountId) {
-    throw new Error(
-      `⚠ SECURITY WARNING: Message box ${messageBoxId} is for account ${proof.accountId}, not ${recipientAccountId}!\n` +
-        `  This could be a misconfigured or fraudulent message box.\n` +
-        `  Refusing to send message for security reasons.`
-    );
+  const messageBoxId = extractMessageBoxIdFromMemo(
+    await getAccountMemo(accountId)
+  );
+  if (!messageBoxId)
+    throw new Error(`Message box ID not found for account ${accountId}`);
+
+  console.log(`⚙ Generating ${count} one-time prekeys...`);
+  const prekeys = createPrekeys(dataDir, accountId, count);
+  // The message box binds the batch to this topic, so it cannot be replayed to another one
+  const message = signOwnerPayload(
+    { type: 'HIP-1334_PREKEYS', messageBoxId, curve: 'x25519', prekeys },
+    accountId,
+    ownerPrivateKey
+  );
+  const result = await submitMessageToHCS(
+    client,
+    messageBoxId,
+    JSON.stringify(message)
+  );
+  if (!result.success)
+    throw new Error(`Failed to publish prekeys: ${result.error}`);
+  // Senders move on to the new batch: the used prekeys are not needed anymore
+  const deleted = deleteUsedPrekeys(dataDir, accountId);
+  console.log(
+    `✓ ${count} one-time prekeys published to message box ${messageBoxId} (${countPrekeys(dataDir, accountId)} unused prekeys stored in ${dataDir}, ${deleted} used prekeys deleted)`
+  );
+  return { success: true, messageBoxId, count };
+}
+
+/**
+ * Encrypts the stored RSA private key with a passphrase, and the retired RSA keys of the keyring.
+ * Keys already encrypted are left as they are.
+ * @param {string} dataDir
+ * @returns {Promise<{encrypted: number}>} Number of keys encrypted
+ */
+async function encryptRSAPrivateKey(dataDir) {
+  const privateKeyFile = getPrivateKeyFilePath(dataDir);
+  if (!fs.existsSync(privateKeyFile)) {
+    throw new Error(`RSA private key not found in ${dataDir}`);
   }
 
-  // Get the recipient account's public key from Mirror Node
-  const { publicKey: recipientPublicKey, keyType: recipientKeyType } =
-    await getAccountPublicKey(recipientAccountId);
+  const privateKey = fs.readFileSync(privateKeyFile, 'utf8');
+  const keys = loadKeyring(dataDir);
+  const plaintextKeys = keys.filter(
+    key =>
+      key.encryptionType === 'RSA' && !isEncryptedPrivateKeyPEM(key.privateKey)
+  );
+  const keyIsPlaintext = !isEncryptedPrivateKeyPEM(privateKey);
+  if (!keyIsPlaintext && plaintextKeys.length === 0) {
+    console.log('✓ RSA private keys are already encrypted');
+    return { encrypted: 0 };
+  }
 
-  // Verify that the signer's public key matches the recipient's public key
-  if (proof.signerPublicKey !== recipientPublicKey) {
+  const passphrase = await getRSAKeyPassphrase(true);
+  if (!passphrase) {
     throw new Error(
-      `⚠ SECURITY WARNING: Message box ${messageBoxId} was NOT signed by account ${recipientAccountId}!\n` +
-        `  Expected public key: ${recipientPublicKey}\n` +
-        `  Signer public key: ${proof.signerPublicKey}\n` +
-        `  The account's public key may have changed, or this could be fraudulent.\n` +
-        `  Refusing to send message for security reasons.`
+      'No passphrase available. Set RSA_KEY_PASSPHRASE or RSA_KEY_PASSPHRASE_FD, or run interactively to enter it'
     );
   }
 
-  // Verify the signature against the payload (not including proof)
-  // Use canonical JSON to ensure deterministic serialization matches signing
-  const payloadToVerify = canonicalJSON(payload);
-  const isValid = verifySignature(
-    payloadToVerify,
-    proof.signature,
-    proof.signerPublicKey,
-    proof.signerKeyType
-  );
+  if (keyIsPlaintext) {
+    const encrypted = encryptPrivateKeyPEM(privateKey, passphrase);
+    // Make sure the key can be decrypted before replacing it
+    decryptPrivateKeyPEM(encrypted, passphrase);
+    writePrivateFile(privateKeyFile, encrypted);
+    console.log(`✓ RSA private key encrypted (${privateKeyFile})`);
+  }
+  if (plaintextKeys.length > 0) {
+    for (const key of plaintextKeys) {
+      key.privateKey = encryptPrivateKeyPEM(key.privateKey, passphrase);
+    }
+    saveKeyring(dataDir, keys);
+    console.log(`✓ ${plaintextKeys.length} retired RSA key(s) encrypted`);
+  }
 
-  if (!isValid) {
+  return { encrypted: plaintextKeys.length + (keyIsPlaintext ? 1 : 0) };
+}
+
+/**
+ * Send an encrypted message to the recipient's message box.
+ * The sender's account ID and a signature are placed inside the encrypted envelope,
+ * so the recipient can authenticate the sender regardless of who paid for the transaction.
+ * With several recipients, the message is encrypted once under a content key wrapped for
+ * each recipient's public key, and the same envelope is sent to every message box.
+ * Every recipient is resolved (message box, published key, cipher suite) before anything is
+ * submitted, so an unknown recipient fails the whole send. Submissions can still fail for
+ * some message boxes only: the others keep the message, and the error lists both.
+ * @param {import("@hashgraph/sdk").Client} Hedera client
+ * @param {string|string[]} recipientAccountIds - Recipient account ID, or list of account IDs
+ * @param {string} message
+ * @param {Object} options - Optional parameters
+ * @param {boolean} [options.useCBOR=false] - Whether to use CBOR encoding
+ * @param {string} [options.senderAccountId] - Sender account ID (defaults to MESSAGE_BOX_OWNER_ACCOUNT_ID)
+ * @param {string} [options.senderPrivateKey] - Sender DER-encoded private key (defaults to MESSAGE_BOX_OWNER_PRIVATE_KEY)
+ * @param {import('./attachments').Attachment} [options.attachment] - File attached to the message (see createAttachment and readAttachment)
+ * @param {string} [options.compression] - Compress the message before encryption: 'none', 'deflate' or 'brotli' (defaults to MESSAGE_COMPRESSION or 'none')
+ * @param {string} [options.inReplyTo] - ID of the message this message replies to (e.g. '0.0.5678@42')
+ * @param {boolean} [options.senderCopy] - Add a key slot for the sender's own message box key, so the sender
+ *   can read the message in the recipient's message box, e.g. in threads (defaults to true unless SENDER_COPY=false).
+ *   No copy is added if the sender's key is weaker than `minCipherStrength`
+ * @param {boolean} [options.requestReceipt] - Ask the recipients for delivery and read receipts (defaults to true unless REQUEST_RECEIPTS=false)
+ * @param {{messageId: string, status: string}} [options.receipt] - Send a receipt for a received message instead of a message (used by the receiving side, see createMessagePoller)
+ * @param {number} [options.minCipherStrength] - Minimum security strength in bits of the recipients' cipher suites (defaults to MIN_CIPHER_STRENGTH or 112)
+ * @param {boolean} [options.usePrekeys] - Encrypt for an unused one-time prekey of each recipient when available, for forward
+ *   secrecy (defaults to true unless USE_PREKEYS=false, receipts never use prekeys)
+ * @returns {Promise<{sent: Array<{accountId: string, messageBoxId: string, messageId: string|null}>}>} The sent messages and their IDs
+ * @throws {Error} If any recipient cannot be resolved, or the message cannot be sent to one of the message boxes.
+ *   In the latter case, the error has the messages that were sent (`sent`, as returned on success) and the failed
+ *   recipients (`failed`, an array of `{accountId, messageBoxId, error}`)
+ */
+async function sendMessage(client, recipientAccountIds, message, options = {}) {
+  const accountIds = [...new Set([].concat(recipientAccountIds))];
+  if (accountIds.length === 0) throw new Error('No recipient specified');
+
+  const {
+    useCBOR = false,
+    senderAccountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID,
+    senderPrivateKey = process.env.MESSAGE_BOX_OWNER_PRIVATE_KEY,
+    attachment,
+    compression = process.env.MESSAGE_COMPRESSION || 'none',
+    inReplyTo,
+    senderCopy = process.env.SENDER_COPY !== 'false',
+    requestReceipt = process.env.REQUEST_RECEIPTS !== 'false',
+    receipt,
+    minCipherStrength = getNonNegativeIntegerEnv('MIN_CIPHER_STRENGTH', 112),
+    usePrekeys = process.env.USE_PREKEYS !== 'false',
+  } = options;
+  if (compression !== 'none' && !COMPRESSION_ALGORITHMS.includes(compression)) {
     throw new Error(
-      '⚠ SECURITY WARNING: Signature verification failed!\n' +
-        '  The first message signature is invalid.\n' +
-        '  This could be a tampered or fraudulent message box.\n' +
-        '  Refusing to send message for security reasons.'
+      `Invalid compression "${compression}". Use 'none', ${COMPRESSION_ALGORITHMS.map(a => `'${a}'`).join(' or ')}`
     );
   }
 
-  console.log('✓ Message box ownership verified via signature');
-  console.log(`  Account: ${proof.accountId}`);
-  console.log(`  Verified with public key from Mirror Node`);
+  if (inReplyTo) parseMessageId(inReplyTo);
 
-  // Extract the encryption public key from the payload
-  const publicKey = payload.publicKey;
-  console.log('⚙ Encrypting message...');
-  const encryptedPayload = encryptMessage(message, publicKey);
-  console.log('✓ Encrypted');
-  console.log(`⚙ Sending to message box ${messageBoxId}...`);
-
-  const messageData = useCBOR
-    ? encodeCBOR({
-        type: 'HIP-1334_ENCRYPTED_MESSAGE',
-        format: 'cbor',
-        data: encryptedPayload,
+  // Resolve every recipient before sending anything
+  const recipients = [];
+  for (const accountId of accountIds) {
+    recipients.push(
+      await resolveRecipient(accountId, {
+        minCipherStrength,
+        usePrekeys: usePrekeys && !receipt,
       })
-    : JSON.stringify({
-        type: 'HIP-1334_ENCRYPTED_MESSAGE',
-        format: 'json',
-        data: encryptedPayload,
-      });
+    );
+  }
+  const senderCopyKey =
+    senderCopy && senderAccountId
+      ? await getSenderCopyKey(senderAccountId, {
+          required: options.senderCopy === true,
+          minCipherStrength,
+        })
+      : null;
+
+  const content = buildSignedContent(
+    message,
+    recipients,
+    senderAccountId,
+    senderPrivateKey,
+    {
+      attachment,
+      inReplyTo,
+      requestReceipt: requestReceipt && !receipt,
+      receipt,
+    }
+  );
+  if (attachment) {
+    console.log(
+      `✓ Attached ${attachment.filename} (${attachment.mimeType}, ${attachment.size} bytes)`
+    );
+  }
+  const { plaintext, compressed } = compressContent(content, compression);
+
+  console.log('⚙ Encrypting message...');
+  // Key slots are labeled with the recipient only. The sender copy slot is not labeled,
+  // so it doesn't reveal the sender
+  // Key slots encrypted for a prekey name it, so the recipient knows which one to use. The
+  // prekey is authenticated with the ciphertext, like the message boxes
+  const keySlots = recipients.map(
+    ({ accountId, messageBoxId, publicKey, prekeyId }) => ({
+      accountId,
+      messageBoxId,
+      ...(prekeyId && { prekeyId }),
+      publicKey,
+    })
+  );
+  if (senderCopyKey) keySlots.push({ publicKey: senderCopyKey });
+  const encryptedPayload =
+    keySlots.length === 1
+      ? encryptMessage(plaintext, recipients[0].publicKey, {
+          messageBoxId: recipients[0].messageBoxId,
+          prekeyId: recipients[0].prekeyId,
+        })
+      : encryptMessageMulti(plaintext, keySlots);
+  console.log(
+    recipients.length === 1
+      ? '✓ Encrypted'
+      : `✓ Encrypted once for ${recipients.length} recipients`
+  );
+  if (senderCopyKey) console.debug('✓ Added a key slot for the sender');
+
+  const envelope = {
+    type: 'HIP-1334_ENCRYPTED_MESSAGE',
+    format: useCBOR ? 'cbor' : 'json',
+  };
+  // The receiver decompresses the decrypted payload with this algorithm
+  if (compressed) envelope.compression = compression;
+  envelope.data = encryptedPayload;
+  const messageData = useCBOR ? encodeCBOR(envelope) : JSON.stringify(envelope);
 
   if (useCBOR) console.debug('✓ Message encoded with CBOR');
 
-  const result = await submitMessageToHCS(client, messageBoxId, messageData);
-  if (!result.success)
-    throw new Error(`Failed to send message: ${result.error}`);
+  const failed = [];
+  const sent = [];
+  for (const { accountId, messageBoxId } of recipients) {
+    console.log(`⚙ Sending to message box ${messageBoxId}...`);
+    const result = await submitMessageToHCS(client, messageBoxId, messageData);
+    if (!result.success) {
+      console.error(
+        `✗ Failed to send message to ${accountId}: ${result.error}`
+      );
+      failed.push({ accountId, messageBoxId, error: result.error });
+      continue;
+    }
+    const messageId = result.sequenceNumber
+      ? getMessageId(messageBoxId, result.sequenceNumber)
+      : null;
+    if (messageId) console.log(`✓ Message ID: ${messageId}`);
+    sent.push({ accountId, messageBoxId, messageId });
+  }
+
+  if (failed.length > 0) {
+    const failures = failed.map(
+      ({ accountId, error }) => `${accountId} (${error})`
+    );
+    const error = new Error(
+      recipients.length === 1
+        ? `Failed to send message: ${failures[0]}`
+        : `Failed to send message to ${failed.length} of ${recipients.length} recipients: ${failures.join(', ')}`
+    );
+    // The message boxes that received the message keep it
+    error.sent = sent;
+    error.failed = failed;
+    throw error;
+  }
 
   console.log(
     `✓ Encrypted message sent correctly (format: ${useCBOR ? 'CBOR' : 'JSON'}).`
   );
+  return { sent };
 }
 
 /**
  * Poll for new messages in the message box.
+ * The polling cursor is persisted in the data directory, so a restarted listener
+ * catches up with the messages received while it was down.
+ * Polling errors are logged and an empty list is returned, so callers can simply retry.
  * @param {string} dataDir
  * @param {string} accountId
- * @returns {Promise<string[]>}
+ * @param {Object} options - Optional parameters (used on the first call only)
+ * @param {string} [options.startFrom='saved'] - Where to start: 'saved' (saved cursor, or latest if none), 'start' or 'latest'
+ * @returns {Promise<MessageRecord[]>}
  */
-async function pollMessages(dataDir, accountId) {
-  if (pollingCache.firstCall) {
-    const encryptionType = getEncryptionType();
-    const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
-    pollingCache.privateKey = privateKey;
-    pollingCache.encryptionType = encryptionType;
+async function pollMessages(dataDir, accountId, options = {}) {
+  if (!defaultPoller)
+    defaultPoller = createMessagePoller(dataDir, accountId, options);
 
-    const accountMemo = await getAccountMemo(accountId);
-    console.debug(`✓ Current account memo: "${accountMemo}"`);
+  // Initialization errors (e.g. no message box configured) are not recoverable
+  await defaultPoller.initialize();
 
-    const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
-    if (!messageBoxId)
-      throw new Error(`Message box ID not found for account ${accountId}`);
+  try {
+    return await defaultPoller.poll();
+  } catch (error) {
+    console.error('Error polling:', error.message);
+    return [];
+  }
+}
 
-    pollingCache.messageBoxId = messageBoxId;
-    console.log(`✓ Found message box ${messageBoxId} for account ${accountId}`);
-    pollingCache.firstCall = false;
-    return await listenForMessages(
-      true,
-      pollingCache.messageBoxId,
-      pollingCache.privateKey,
-      pollingCache.encryptionType,
-      pollingCache
+/**
+ * Create an independent poller for the account's message box.
+ * Each poller keeps its own state, so several listeners can run in the same process.
+ * Unlike pollMessages, errors are thrown to the caller.
+ * Messages received by other means (e.g. topic streaming) can be fed with ingest(),
+ * which shares the cursor with poll(). The one-time prekeys of received forward secret
+ * messages are deleted once the cursor has moved past them: pollers are the only readers
+ * that consume prekeys.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Object} options - Optional parameters
+ * @param {string} [options.startFrom='saved'] - Where to start: 'saved' (saved cursor, or latest if none), 'start' or 'latest'
+ * @param {string} [options.cursorName] - Name of the saved polling cursor, for pollers that must not share the listener's
+ *   cursor (e.g. 'api'). Pollers without a name share the default cursor, so they must not run at the same time
+ * @param {number} [options.chunkTimeout=600000] - Time (ms) to wait for the missing chunks of a chunked message
+ * @param {string} [options.attachmentsDir] - Folder where attachments are saved (defaults to ATTACHMENTS_DIR or <dataDir>/attachments)
+ * @param {import("@hashgraph/sdk").Client} [options.client] - Client used to send delivery receipts and to publish new one-time
+ *   prekeys when few are left (neither is done if not set, see refillPrekeys)
+ * @param {boolean} [options.storeInbox] - Store received messages, unread, in the local inbox once delivered (defaults to true unless INBOX_STORE=false)
+ * @param {(records: MessageRecord[]) => Promise<void>} [options.deliver] - Called with the new records before the polling
+ *   cursor moves past them (e.g. to deliver them to webhooks). If it throws, the records are fetched again by the next poll
+ * @returns {MessagePoller}
+ */
+function createMessagePoller(dataDir, accountId, options = {}) {
+  const {
+    startFrom = 'saved',
+    cursorName = null,
+    chunkTimeout = 600000,
+    attachmentsDir = getAttachmentsDir(dataDir),
+    client,
+    storeInbox = process.env.INBOX_STORE !== 'false',
+    deliver,
+  } = options;
+  if (!['saved', 'start', 'latest'].includes(startFrom)) {
+    throw new Error(
+      `Invalid startFrom option "${startFrom}". Use 'saved', 'start' or 'latest'`
+    );
+  }
+  if (cursorName !== null && !/^[\w-]+$/.test(cursorName)) {
+    throw new Error(
+      `Invalid cursorName option "${cursorName}". Use letters, digits, _ and -`
     );
   }
 
-  return await listenForMessages(
-    false,
-    pollingCache.messageBoxId,
-    pollingCache.privateKey,
-    pollingCache.encryptionType,
-    pollingCache
-  );
+  const cache = {
+    firstCall: true,
+    lastSequenceNumber: 0,
+    accountKeys: new Map(),
+    chunkBuffer: { groups: {}, timeout: chunkTimeout },
+    startFrom,
+    cursorName,
+    attachmentsDir,
+  };
+
+  // The cursor is saved once the records are delivered and stored: if the process stops
+  // before, they are received again on restart
+  const receive = async fetchRecords => {
+    const checkpoint = {
+      lastSequenceNumber: cache.lastSequenceNumber,
+      lastConsensusTimestamp: cache.lastConsensusTimestamp,
+      groups: cache.chunkBuffer.groups,
+    };
+    let messages;
+    try {
+      messages = await fetchRecords();
+      if (deliver && messages.length > 0) await deliver(messages);
+      // Only once delivered: undelivered messages are fetched again by the next poll
+      if (storeInbox) storeReceived(dataDir, accountId, messages, cache);
+    } catch (error) {
+      cache.lastSequenceNumber = checkpoint.lastSequenceNumber;
+      cache.lastConsensusTimestamp = checkpoint.lastConsensusTimestamp;
+      cache.chunkBuffer.groups = checkpoint.groups;
+      throw error;
+    }
+    if (cache.lastSequenceNumber !== checkpoint.lastSequenceNumber) {
+      savePollingCursor(
+        cache.cursorFile,
+        cache.lastSequenceNumber,
+        cache.chunkBuffer.groups
+      );
+    }
+    // Only once the messages are handled, and won't be fetched again
+    markUsedPrekeys(dataDir, accountId, cache.messageBoxId, messages);
+    if (client && namePrekeys(messages, cache.messageBoxId)) {
+      await refillPrekeys(client, dataDir, accountId, cache.messageBoxId);
+    }
+    if (client) {
+      await sendReceipts(client, dataDir, accountId, messages, 'delivered');
+    }
+    return messages;
+  };
+
+  return {
+    get initialized() {
+      return Boolean(cache.messageBoxId);
+    },
+    get messageBoxId() {
+      return cache.messageBoxId || null;
+    },
+    get keysMatch() {
+      return cache.keysMatch;
+    },
+    get lastSequenceNumber() {
+      return cache.lastSequenceNumber;
+    },
+    get lastConsensusTimestamp() {
+      return cache.lastConsensusTimestamp || null;
+    },
+    get pendingChunkedMessages() {
+      return Object.keys(cache.chunkBuffer.groups).length;
+    },
+    async initialize() {
+      if (!cache.messageBoxId)
+        await initializePollingCache(cache, dataDir, accountId);
+    },
+    async poll() {
+      await this.initialize();
+
+      return receive(async () => {
+        const isFirstPoll = cache.firstCall;
+        const messages = await listenForMessages(
+          isFirstPoll,
+          cache.messageBoxId,
+          cache.privateKeys,
+          cache.encryptionType,
+          cache
+        );
+        cache.firstCall = false;
+        return messages;
+      });
+    },
+    async ingest(rawMessages) {
+      if (cache.firstCall) throw new Error('Poller has not polled yet');
+      return receive(() =>
+        processNewMessages(
+          rawMessages,
+          cache.messageBoxId,
+          cache.privateKeys,
+          cache
+        )
+      );
+    },
+  };
 }
 
 /**
@@ -373,44 +821,539 @@ async function pollMessages(dataDir, accountId) {
  * @param {string} accountId
  * @param {number} startSequence - Starting sequence number (inclusive)
  * @param {number} [endSequence] - Ending sequence number (inclusive), if not provided gets all messages from start
- * @returns {Promise<string[]>}
+ * @param {Object} options - Optional parameters
+ * @param {import("@hashgraph/sdk").Client} [options.client] - Client used to send read receipts (no receipts are sent if not set)
+ * @param {boolean} [options.storeInbox] - Store the messages, marked as read, in the local inbox (defaults to true unless INBOX_STORE=false)
+ * @returns {Promise<MessageRecord[]>}
  */
-async function checkMessages(dataDir, accountId, startSequence, endSequence) {
-  const encryptionType = getEncryptionType();
-  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
-
-  const accountMemo = await getAccountMemo(accountId);
-  console.debug(`✓ Current account memo: "${accountMemo}"`);
+async function checkMessages(
+  dataDir,
+  accountId,
+  startSequence,
+  endSequence,
+  options = {}
+) {
+  const { client, storeInbox = process.env.INBOX_STORE !== 'false' } = options;
+  const messages = [];
+  for await (const page of iterateMessages(
+    dataDir,
+    accountId,
+    startSequence,
+    endSequence
+  )) {
+    messages.push(...page);
+  }
 
-  const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
-  if (!messageBoxId) {
-    throw new Error(`Message box ID not found for account ${accountId}`);
+  if (storeInbox) {
+    try {
+      const keys = await getInboxKeys(dataDir, accountId);
+      saveToInbox(dataDir, accountId, keys, messages, { read: true });
+    } catch (error) {
+      console.warn(`⚠ Messages not stored in the inbox: ${error.message}`);
+    }
   }
+  if (client) await sendReceipts(client, dataDir, accountId, messages, 'read');
+  return messages;
+}
 
-  console.log(`✓ Found message box ${messageBoxId} for account ${accountId}`);
+/**
+ * Iterate the messages in a range of the account's message box, one Mirror Node page
+ * at a time, so large histories (e.g. exports) don't have to fit in memory.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {number} startSequence - Starting sequence number (inclusive)
+ * @param {number} [endSequence] - Ending sequence number (inclusive), if not provided gets all messages from start
+ * @yields {MessageRecord[]} Pages of message records, oldest first
+ */
+async function* iterateMessages(
+  dataDir,
+  accountId,
+  startSequence,
+  endSequence
+) {
+  const encryptionType = getEncryptionType();
+  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
+  const privateKeys = await loadDecryptionKeys(dataDir, privateKey);
+
+  const accountMemo = await getAccountMemo(accountId);
+  console.debug(`✓ Current account memo: "${accountMemo}"`);
+
+  const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
+  if (!messageBoxId) {
+    throw new Error(`Message box ID not found for account ${accountId}`);
+  }
+
+  console.log(`✓ Found message box ${messageBoxId} for account ${accountId}`);
 
   const endMsg = endSequence ? ` to ${endSequence}` : ' onwards';
   console.log(
     `⚙ Fetching messages from sequence ${startSequence}${endMsg}...\n`
   );
 
-  const rawMessages = await getMessagesInRange(
+  const accountKeyCache = new Map();
+  for await (const rawMessages of iterateMessagesInRange(
     messageBoxId,
     startSequence,
     endSequence
+  )) {
+    const page = [];
+    for (const msg of rawMessages) {
+      page.push(
+        await decodeMessage(
+          msg,
+          privateKeys,
+          messageBoxId,
+          accountKeyCache,
+          null,
+          { dataDir, accountId }
+        )
+      );
+    }
+    yield page;
+  }
+}
+
+/**
+ * Search the received messages by words of their plaintext, verified sender and date.
+ * The search runs on a local index, encrypted with a key derived from the message box
+ * private key, so plaintext never leaves the machine. Before searching, the index is
+ * updated with the messages received since the last search.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} query - Words to search for (every word must start a word of the message)
+ * @param {Object} options - Optional parameters
+ * @param {string} [options.from] - Only messages from this verified sender account ID
+ * @param {Date|string} [options.since] - Only messages sent at or after this date
+ * @param {Date|string} [options.until] - Only messages sent at or before this date (a day without time is included)
+ * @param {number} [options.limit] - Maximum number of results (the newest are kept)
+ * @param {boolean} [options.sync=true] - Index new messages first (false to search offline)
+ * @returns {Promise<import('./search').SearchResult[]>} Matching messages, oldest first
+ */
+async function searchMessages(dataDir, accountId, query, options = {}) {
+  const { from, limit, sync = true } = options;
+  const since = parseSearchDate(options.since, false);
+  const until = parseSearchDate(options.until, true);
+
+  const encryptionType = getEncryptionType();
+  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
+  const key = deriveSearchIndexKey(privateKey, accountId);
+  let index = loadSearchIndex(dataDir, accountId, key);
+
+  if (sync) {
+    const messageBoxId = extractMessageBoxIdFromMemo(
+      await getAccountMemo(accountId)
+    );
+    if (!messageBoxId) {
+      throw new Error(`Message box ID not found for account ${accountId}`);
+    }
+    if (index.messageBoxId !== messageBoxId) {
+      // New message box: the index of the previous one is dropped
+      index = {
+        messageBoxId,
+        lastSequenceNumber: 0,
+        messages: {},
+        postings: {},
+      };
+    }
+
+    let indexed = 0;
+    // Attachments are not saved again: they were saved when the messages were received
+    for await (const page of iterateMessages(
+      dataDir,
+      accountId,
+      index.lastSequenceNumber + 1,
+      undefined
+    )) {
+      indexed += indexMessages(index, page);
+      saveSearchIndex(dataDir, accountId, key, index);
+    }
+    console.log(`✓ ${indexed} new message(s) indexed`);
+  }
+
+  return querySearchIndex(index, query, { from, since, until, limit });
+}
+
+/**
+ * Get the keys of the local inbox (see inbox.js): the key derived from the current private
+ * key first, then the keys derived from the retired ones, to read an inbox saved before a
+ * key rotation.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {Promise<Buffer[]>} Inbox keys
+ */
+async function getInboxKeys(dataDir, accountId) {
+  const { privateKey } = await loadOrGenerateKeyPair(
+    dataDir,
+    getEncryptionType()
   );
-  const messages = [];
+  const privateKeys = await loadDecryptionKeys(dataDir, privateKey);
+  return privateKeys.map(key => deriveInboxKey(key, accountId));
+}
 
-  rawMessages.forEach(msg => {
-    messages.push(formatMessage(msg, privateKey, encryptionType));
-  });
+/**
+ * Reconstruct the conversation a message belongs to, across the message boxes of its participants.
+ * Messages are linked by their `inReplyTo` reference. The account's own message box is read first,
+ * then the message boxes of the other participants, where the account's messages are readable
+ * when they were sent with a sender copy (the default).
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} messageId - ID of any message of the thread (e.g. '0.0.5678@42')
+ * @returns {Promise<MessageRecord[]>} Messages of the thread, oldest first (empty if the message is not found)
+ */
+async function getThread(dataDir, accountId, messageId) {
+  const { topicId } = parseMessageId(messageId);
+  const encryptionType = getEncryptionType();
+  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
+  const privateKeys = await loadDecryptionKeys(dataDir, privateKey);
 
-  return messages;
+  const ownMessageBoxId = extractMessageBoxIdFromMemo(
+    await getAccountMemo(accountId)
+  );
+  if (!ownMessageBoxId) {
+    throw new Error(`Message box ID not found for account ${accountId}`);
+  }
+
+  const records = new Map();
+  const accountKeyCache = new Map();
+  const scanned = new Set();
+  const resolvedAccounts = new Set([accountId]);
+  const toScan = [ownMessageBoxId, topicId];
+
+  while (toScan.length > 0) {
+    const messageBoxId = toScan.shift();
+    if (scanned.has(messageBoxId)) continue;
+    scanned.add(messageBoxId);
+
+    console.log(`⚙ Reading message box ${messageBoxId}...`);
+    let rawMessages;
+    try {
+      rawMessages = await getMessagesInRange(messageBoxId, 1);
+    } catch (error) {
+      console.warn(
+        `⚠ Cannot read message box ${messageBoxId}: ${error.message}`
+      );
+      continue;
+    }
+    for (const msg of rawMessages) {
+      // Attachments are not saved again: they were saved when the messages were received
+      const record = await decodeMessage(
+        msg,
+        privateKeys,
+        messageBoxId,
+        accountKeyCache
+      );
+      if (record.type === 'HIP-1334_ENCRYPTED_MESSAGE' && !record.error) {
+        records.set(record.id, record);
+      }
+    }
+
+    // Read the message boxes of the participants found so far
+    for (const record of collectThread(records, messageId)) {
+      const participants = [
+        record.sender.status === 'verified' ? record.sender.accountId : null,
+        ...(record.recipients || []).map(r => r.accountId),
+      ];
+      for (const participant of participants) {
+        if (!participant || resolvedAccounts.has(participant)) continue;
+        resolvedAccounts.add(participant);
+        try {
+          const participantBoxId = extractMessageBoxIdFromMemo(
+            await getAccountMemo(participant)
+          );
+          if (participantBoxId) toScan.push(participantBoxId);
+        } catch (error) {
+          console.warn(
+            `⚠ Cannot find the message box of ${participant}: ${error.message}`
+          );
+        }
+      }
+    }
+  }
+
+  return collectThread(records, messageId);
+}
+
+/**
+ * Enable or disable receipts for a contact, or by default. Receipts are only sent for
+ * messages whose sender asked for them, and only once per status.
+ * @param {string} dataDir
+ * @param {string} accountId - The message box owner
+ * @param {string} contact - Account ID of the contact, or 'default' for all other contacts
+ * @param {boolean|null} enabled - Whether to send receipts, or null to remove the contact setting
+ * @returns {{default: boolean, contacts: Object<string, boolean>}} The updated receipt policy
+ */
+function setReceiptPolicy(dataDir, accountId, contact, enabled) {
+  if (contact !== 'default' && !/^\d+\.\d+\.\d+$/.test(contact)) {
+    throw new Error(
+      `Invalid contact "${contact}". Use an account ID or 'default'`
+    );
+  }
+  const state = loadReceiptState(dataDir, accountId);
+  if (contact === 'default') {
+    state.default = enabled === null ? undefined : Boolean(enabled);
+  } else if (enabled === null) {
+    delete state.contacts[contact];
+  } else {
+    state.contacts[contact] = Boolean(enabled);
+  }
+  saveReceiptState(dataDir, accountId, state);
+  return getReceiptPolicy(dataDir, accountId);
+}
+
+/**
+ * Get the receipt policy of the account
+ * @param {string} dataDir
+ * @param {string} accountId - The message box owner
+ * @returns {{default: boolean, contacts: Object<string, boolean>}} Whether receipts are sent by default, and per contact
+ */
+function getReceiptPolicy(dataDir, accountId) {
+  const state = loadReceiptState(dataDir, accountId);
+  return {
+    default:
+      typeof state.default === 'boolean'
+        ? state.default
+        : process.env.SEND_RECEIPTS === 'true',
+    contacts: { ...state.contacts },
+  };
+}
+
+/**
+ * Get the delivery status of the messages sent by the account, from the receipts
+ * received in its message box. Only receipts from the owner of the message box the
+ * message was sent to are taken into account.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {Promise<Map<string, {status: string, accountId: string, timestamp: string}>>} Status of each
+ *   acknowledged message ('delivered' or 'read'), keyed by message ID
+ */
+async function getSentMessageStatuses(dataDir, accountId) {
+  const encryptionType = getEncryptionType();
+  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
+  const privateKeys = await loadDecryptionKeys(dataDir, privateKey);
+
+  const messageBoxId = extractMessageBoxIdFromMemo(
+    await getAccountMemo(accountId)
+  );
+  if (!messageBoxId) {
+    throw new Error(`Message box ID not found for account ${accountId}`);
+  }
+
+  console.log(`⚙ Reading receipts from message box ${messageBoxId}...`);
+  const rawMessages = await getMessagesInRange(messageBoxId, 1);
+  const accountKeyCache = new Map();
+  const contactBoxes = new Map();
+  const statuses = new Map();
+
+  for (const msg of rawMessages) {
+    const record = await decodeMessage(
+      msg,
+      privateKeys,
+      messageBoxId,
+      accountKeyCache
+    );
+    if (!record.receipt || record.sender.status !== 'verified') continue;
+
+    // A receipt must come from the owner of the message box the message was sent to
+    const contact = record.sender.accountId;
+    if (!contactBoxes.has(contact)) {
+      try {
+        contactBoxes.set(
+          contact,
+          extractMessageBoxIdFromMemo(await getAccountMemo(contact))
+        );
+      } catch (error) {
+        console.warn(
+          `⚠ Cannot find the message box of ${contact}: ${error.message}`
+        );
+        contactBoxes.set(contact, null);
+      }
+    }
+    const { messageId, status } = record.receipt;
+    if (parseMessageId(messageId).topicId !== contactBoxes.get(contact)) {
+      continue;
+    }
+
+    const known = statuses.get(messageId);
+    if (
+      !known ||
+      RECEIPT_STATUSES.indexOf(status) > RECEIPT_STATUSES.indexOf(known.status)
+    ) {
+      statuses.set(messageId, {
+        status,
+        accountId: contact,
+        timestamp: record.timestamp,
+      });
+    }
+  }
+
+  return statuses;
+}
+
+/**
+ * Format a message record into a human-readable string (used by the CLI scripts)
+ * @param {MessageRecord} record - Message record returned by pollMessages or checkMessages
+ * @returns {string} Formatted message string
+ */
+function formatMessage(record) {
+  const header = `[Seq: ${record.sequence.start}] [ID: ${record.id}] [${record.timestamp}] [${record.format.toUpperCase()}]`;
+  const { payer } = record;
+
+  if (record.type === 'HIP-1334_ENCRYPTED_MESSAGE') {
+    if (record.error) {
+      return `${header} Encrypted message paid by ${payer} (cannot decrypt):\n${record.error}`;
+    }
+    const { status, accountId, reason } = record.sender;
+    const to = record.recipients
+      ? ` to ${record.recipients.map(r => r.accountId).join(', ')}`
+      : '';
+    const reply = record.inReplyTo
+      ? `↩ In reply to ${record.inReplyTo}\n`
+      : '';
+    const attachment = record.attachment
+      ? `\n${formatAttachment(record.attachment)}`
+      : '';
+    const kind = record.receipt ? 'Receipt' : 'Encrypted message';
+    const legacy = record.unauthenticated
+      ? '⚠ Legacy RSA encryption (AES-256-CBC): the ciphertext is not authenticated\n'
+      : '';
+    const body = record.receipt
+      ? `${legacy}✔ Message ${record.receipt.messageId} ${record.receipt.status}`
+      : `${legacy}${reply}${record.plaintext}${attachment}`;
+    if (status === 'verified') {
+      return `${header} [VERIFIED] ${kind} from ${accountId}${to} (paid by ${payer}):\n${body}`;
+    } else if (status === 'forged') {
+      return `${header} [FORGED] ${kind} claiming to be from ${accountId}${to} (paid by ${payer}, ${reason}):\n${body}`;
+    }
+    const claimed = accountId ? ` claiming to be from ${accountId}` : '';
+    return `${header} [UNVERIFIED] ${kind}${claimed}${to} (paid by ${payer}, ${reason}):\n${body}`;
+  } else if (record.type === 'HIP-1334_PUBLIC_KEY') {
+    const keyMessage = record.envelope.payload || record.envelope;
+    const keyInfo = keyMessage.encryptionType
+      ? ` (${keyMessage.encryptionType})`
+      : '';
+    const keyPreview = keyMessage.publicKey
+      ? typeof keyMessage.publicKey === 'string'
+        ? keyMessage.publicKey.substring(0, 50) + '...'
+        : JSON.stringify(keyMessage.publicKey).substring(0, 50) + '...'
+      : 'N/A';
+    return `${header} Public key${keyInfo} published by ${payer}:\n${keyPreview}`;
+  } else if (record.type === 'HIP-1334_PREKEYS') {
+    const { prekeys } = record.envelope.payload;
+    const count = Array.isArray(prekeys) ? prekeys.length : 0;
+    return `${header} ${count} one-time prekeys published by ${payer}`;
+  }
+  return `${header} Plain text message from ${payer}:\n${record.plaintext}`;
 }
 
 // == Private state & functions ================================================
 
-let pollingCache = { firstCall: true, lastSequenceNumber: 0 };
+/**
+ * Independent message box poller returned by createMessagePoller
+ * @typedef {Object} MessagePoller
+ * @property {() => Promise<void>} initialize - Load the keys and resolve the message box
+ * @property {() => Promise<MessageRecord[]>} poll - Fetch new messages from Mirror Node
+ * @property {(rawMessages: Array) => Promise<MessageRecord[]>} ingest - Process raw messages received by other means
+ * @property {boolean} initialized - Whether the message box was resolved
+ * @property {string|null} messageBoxId - The message box topic ID
+ * @property {boolean|undefined} keysMatch - Whether the local keys can decrypt messages for the message box
+ * @property {number} lastSequenceNumber - Last processed sequence number
+ * @property {string|null} lastConsensusTimestamp - Consensus timestamp of the last processed message
+ * @property {number} pendingChunkedMessages - Number of chunked messages waiting for missing chunks
+ */
+
+/**
+ * Structured message returned by pollMessages and checkMessages
+ * @typedef {Object} MessageRecord
+ * @property {string} id - Stable message ID: message box topic ID and sequence number (e.g. '0.0.5678@42')
+ * @property {{start: number, end: number}} sequence - Sequence number range (end > start for chunked messages)
+ * @property {string} consensusTimestamp - Consensus timestamp as returned by Mirror Node (seconds.nanoseconds)
+ * @property {string} timestamp - Consensus timestamp in ISO format
+ * @property {string} payer - Account that paid for the transaction
+ * @property {string} format - Wire format: 'json', 'cbor' or 'plain'
+ * @property {string} type - 'HIP-1334_ENCRYPTED_MESSAGE', 'HIP-1334_PUBLIC_KEY', 'HIP-1334_PREKEYS' or 'PLAIN'
+ * @property {string|null} plaintext - Decrypted (or plain text) message
+ * @property {string|null} error - Decryption error, if the message cannot be decrypted
+ * @property {{status: string, accountId: string|null, reason?: string}|null} sender - Sender verification (encrypted messages only)
+ * @property {Array<{accountId: string, messageBoxId: string}>|null} recipients - All recipients of a multi-recipient message
+ * @property {AttachmentRecord|null} attachment - Attached file, if any
+ * @property {string|null} inReplyTo - ID of the message this message replies to
+ * @property {boolean} receiptRequested - Whether the sender asked for receipts
+ * @property {{messageId: string, status: string}|null} receipt - For receipts: the acknowledged message and its status ('delivered' or 'read')
+ * @property {boolean} unauthenticated - Whether the message uses the legacy RSA envelope (AES-256-CBC), whose ciphertext integrity cannot be checked
+ * @property {boolean} forwardSecret - Whether the message was decrypted with a one-time prekey (deleted once the poller received
+ *   the message and the next batch of prekeys is published)
+ * @property {Object|string} envelope - Raw envelope: parsed JSON/CBOR object, or the raw text
+ */
+
+/**
+ * File attached to a message record
+ * @typedef {Object} AttachmentRecord
+ * @property {string} filename - File name (sanitized)
+ * @property {string} mimeType - MIME type declared by the sender
+ * @property {number} size - Size in bytes
+ * @property {string} sha256 - SHA-256 hash of the content (hex)
+ * @property {string|null} path - Where the file was saved
+ * @property {string|null} error - Why the attachment is invalid or could not be saved
+ */
+
+// Receipt statuses, in order: a read message was also delivered
+const RECEIPT_STATUSES = ['delivered', 'read'];
+
+let defaultPoller = null;
+
+// Passphrase of the RSA private key, once read from a file descriptor or a prompt
+let rsaKeyPassphrase = null;
+
+// Latest verified public key of each message box, and the last sequence number scanned for it
+const publicKeyCache = new Map();
+
+// Latest prekeys batch of each message box, the prekeys used since, and the last sequence number scanned
+const prekeyBatchCache = new Map();
+
+/**
+ * Load the keys and resolve the message box of a poller
+ * @param {object} cache - Poller state
+ * @param {string} dataDir
+ * @param {string} accountId
+ */
+async function initializePollingCache(cache, dataDir, accountId) {
+  const encryptionType = getEncryptionType();
+  const { privateKey } = await loadOrGenerateKeyPair(dataDir, encryptionType);
+
+  const accountMemo = await getAccountMemo(accountId);
+  console.debug(`✓ Current account memo: "${accountMemo}"`);
+
+  const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
+  if (!messageBoxId)
+    throw new Error(`Message box ID not found for account ${accountId}`);
+  console.log(`✓ Found message box ${messageBoxId} for account ${accountId}`);
+
+  cache.keysMatch = await verifyKeyPairMatchesTopic(
+    messageBoxId,
+    accountId,
+    privateKey,
+    encryptionType
+  );
+  if (!cache.keysMatch) {
+    console.warn(
+      `⚠ WARNING: Your keys cannot decrypt messages for message box ${messageBoxId}!`
+    );
+  }
+
+  cache.privateKeys = await loadDecryptionKeys(dataDir, privateKey);
+  cache.inboxKeys = cache.privateKeys.map(key =>
+    deriveInboxKey(key, accountId)
+  );
+  cache.prekeyStore = { dataDir, accountId };
+  cache.encryptionType = encryptionType;
+  cache.cursorFile = getCursorFilePath(
+    dataDir,
+    accountId,
+    messageBoxId,
+    cache.cursorName
+  );
+  cache.messageBoxId = messageBoxId;
+}
 
 /**
  * Prompt user for yes/no confirmation
@@ -448,6 +1391,20 @@ function getOwnerPrivateKey() {
   return key;
 }
 
+/**
+ * Get the version of a public key payload. Keys published before versions have none.
+ * @param {Object} payload - Public key payload
+ * @returns {number} The key version, 0 if the payload has none
+ * @throws {Error} If the version is not a positive integer
+ */
+function getKeyVersion(payload) {
+  if (payload.keyVersion === undefined) return 0;
+  if (!Number.isInteger(payload.keyVersion) || payload.keyVersion < 1) {
+    throw new Error(`Invalid public key version "${payload.keyVersion}"`);
+  }
+  return payload.keyVersion;
+}
+
 /**
  * Canonicalize a JSON object for deterministic signing
  * Sorts keys recursively and serializes to JSON
@@ -519,69 +1476,1059 @@ function parseMessageContent(messageBuffer) {
 }
 
 /**
- * Parse and format a raw message into a human-readable string
- * @param {Object} msg - Raw message object from Hedera
- * @param {string|Object} privateKey - RSA private key (PEM string) or ECIES key object
- * @param {string} encryptionType - 'RSA' or 'ECIES'
- * @returns {string} Formatted message string
+ * Compress the content to encrypt, unless compression is disabled or doesn't make it smaller
+ * (e.g. short messages)
+ * @param {string} content - Plaintext to encrypt
+ * @param {string} compression - 'none', 'deflate' or 'brotli'
+ * @returns {{plaintext: string|Buffer, compressed: boolean}}
  */
-function formatMessage(msg, privateKey, encryptionType) {
-  const messageBuffer = Buffer.from(msg.message, 'base64');
-  const timestamp = new Date(
-    parseFloat(msg.consensus_timestamp) * 1000
-  ).toISOString();
-  const sender = msg.payer_account_id;
-
-  const { parsed, format, raw } = parseMessageContent(messageBuffer);
-
-  if (parsed && parsed.type === 'HIP-1334_ENCRYPTED_MESSAGE') {
-    try {
-      const decrypted = decryptMessage(parsed.data, privateKey);
-      return `[Seq: ${msg.sequence_number}] [${timestamp}] [${format.toUpperCase()}] Encrypted message from ${sender}:\n${decrypted}`;
-    } catch (error) {
-      return `[Seq: ${msg.sequence_number}] [${timestamp}] [${format.toUpperCase()}] Encrypted message from ${sender} (cannot decrypt):\n${error.message}`;
-    }
-  } else if (parsed && parsed.type === 'HIP-1334_PUBLIC_KEY') {
-    const keyInfo = parsed.encryptionType ? ` (${parsed.encryptionType})` : '';
-    const keyPreview = parsed.publicKey
-      ? typeof parsed.publicKey === 'string'
-        ? parsed.publicKey.substring(0, 50) + '...'
-        : JSON.stringify(parsed.publicKey).substring(0, 50) + '...'
-      : 'N/A';
-    return `[Seq: ${msg.sequence_number}] [${timestamp}] [${format.toUpperCase()}] Public key${keyInfo} published by ${sender}:\n${keyPreview}`;
-  } else {
-    return `[Seq: ${msg.sequence_number}] [${timestamp}] [${format.toUpperCase()}] Plain text message from ${sender}:\n${raw}`;
+function compressContent(content, compression) {
+  if (compression === 'none') return { plaintext: content, compressed: false };
+
+  const size = Buffer.byteLength(content, 'utf8');
+  const compressedContent = compressPayload(content, compression);
+  if (compressedContent.length >= size) {
+    console.debug(
+      `⚠ ${compression} does not reduce the message size, sending it uncompressed`
+    );
+    return { plaintext: content, compressed: false };
   }
+  console.log(
+    `✓ Compressed with ${compression}: ${size} → ${compressedContent.length} bytes`
+  );
+  return { plaintext: compressedContent, compressed: true };
 }
 
 /**
- * Get the encryption type from environment
- * @returns {string} 'RSA' or 'ECIES'
+ * Resolve a recipient's message box, its latest verified public key and the cipher suite to use.
+ * Public keys published without cipher suites support the suite of their key.
+ * With prekeys, the returned public key is an unused one-time prekey of the recipient if the
+ * recipient publishes prekeys strong enough, and the message box key otherwise.
+ * @param {string} recipientAccountId
+ * @param {Object} options
+ * @param {number} options.minCipherStrength - Minimum security strength in bits
+ * @param {boolean} options.usePrekeys - Whether to use a one-time prekey
+ * @returns {Promise<{accountId: string, messageBoxId: string, publicKey: string|Object, cipherSuite: string, prekeyId?: string}>}
+ * @throws {Error} If no cipher suite is supported by both sides, or all are too weak, or the
+ *   recipient's prekeys cannot be read
  */
-function getEncryptionType() {
-  return (process.env.ENCRYPTION_TYPE || 'RSA').toUpperCase();
-}
+async function resolveRecipient(recipientAccountId, options) {
+  const { minCipherStrength, usePrekeys } = options;
+  if (!(await isValidAccount(recipientAccountId))) {
+    throw new Error(
+      `${recipientAccountId} is not a valid Hedera account. Please note you need to specify an account with a message box configured. Don't send messages the message box directly.`
+    );
+  }
 
-/**
- * Get public key from topic message
- * @param {string} message - Base64 encoded message content
- * @returns {Promise<string|Object>} Public key (PEM string for RSA, object for ECIES)
- */
-async function getPublicKeyFromFirstMessage(message) {
+  console.log(`⚙ Sending message to account ${recipientAccountId}...`);
+  const accountMemo = await getAccountMemo(recipientAccountId);
+  console.debug(`✓ Account memo: "${accountMemo}"`);
+
+  const messageBoxId = extractMessageBoxIdFromMemo(accountMemo);
+  if (!messageBoxId)
+    throw new Error(
+      `Message box ID not found for account ${recipientAccountId}`
+    );
+  console.log(`✓ Message box ID: ${messageBoxId}`);
+
+  console.log('⚙ Getting latest public key from message box...');
+  const { payload, proof } = await getLatestPublicKey(
+    messageBoxId,
+    recipientAccountId
+  );
+  console.log('✓ Message box ownership verified via signature');
+  console.log(`  Account: ${proof.accountId}`);
+  console.log(`  Verified with public key from Mirror Node`);
+
+  let cipherSuite;
   try {
-    const messageContent = Buffer.from(message, 'base64').toString('utf8');
-    const firstMessage = JSON.parse(messageContent);
+    cipherSuite = selectCipherSuite(
+      payload.cipherSuites || getCipherSuites(payload.publicKey),
+      payload.publicKey,
+      { minStrength: minCipherStrength }
+    );
+  } catch (error) {
+    throw new Error(
+      `Cannot encrypt for ${recipientAccountId}: ${error.message}`
+    );
+  }
+  console.log(`✓ Cipher suite: ${cipherSuite}`);
 
-    // Require new structure with payload and proof
-    if (!firstMessage.payload) {
-      throw new Error(
-        'First message does not have the required structure with payload and proof'
+  let prekey = null;
+  try {
+    prekey = usePrekeys
+      ? await getUnusedPrekey(messageBoxId, recipientAccountId)
+      : null;
+  } catch (error) {
+    throw new Error(
+      `Cannot encrypt for ${recipientAccountId}: ${error.message}`
+    );
+  }
+  if (prekey) {
+    const publicKey = { type: 'ECIES', key: prekey.key, curve: 'x25519' };
+    try {
+      const prekeySuite = selectCipherSuite(
+        getCipherSuites(publicKey),
+        publicKey,
+        { minStrength: minCipherStrength }
+      );
+      console.log(
+        `✓ Using one-time prekey ${prekey.id} (${prekeySuite}, forward secrecy)`
       );
+      return {
+        accountId: recipientAccountId,
+        messageBoxId,
+        publicKey,
+        cipherSuite: prekeySuite,
+        prekeyId: prekey.id,
+      };
+    } catch (error) {
+      console.debug(`⚠ Not using the prekeys: ${error.message}`);
     }
+  }
 
-    const payload = firstMessage.payload;
+  // Extract the encryption public key from the payload
+  return {
+    accountId: recipientAccountId,
+    messageBoxId,
+    publicKey: payload.publicKey,
+    cipherSuite,
+  };
+}
 
-    if (payload.type === 'HIP-1334_PUBLIC_KEY' && payload.publicKey) {
+/**
+ * Pick an unused one-time prekey of a message box: a random prekey of the latest batch signed
+ * by the owner that no message sent since the batch names. Senders don't coordinate, so two
+ * senders may pick the same prekey at the same time: picking at random makes it unlikely.
+ * Anybody can use the prekeys up with junk messages naming them, so when none is left the
+ * message box key is used, with a warning, until the owner publishes new ones. If the prekeys
+ * cannot be read, sending fails (send with `usePrekeys: false` instead).
+ * @param {string} messageBoxId
+ * @param {string} accountId - The account that owns the message box
+ * @returns {Promise<{id: string, key: string}|null>} The prekey, or null if the owner never published prekeys or all are used
+ * @throws {Error} If the prekeys cannot be read
+ */
+async function getUnusedPrekey(messageBoxId, accountId) {
+  let state;
+  try {
+    state = await getPrekeyBatch(messageBoxId, accountId);
+  } catch (error) {
+    throw new Error(
+      `Cannot get the one-time prekeys of message box ${messageBoxId} (${error.message}). Set USE_PREKEYS=false to send without forward secrecy`
+    );
+  }
+  if (!state) return null;
+  if (state.unused.length === 0) {
+    console.warn(
+      `⚠ All the one-time prekeys of message box ${messageBoxId} are used, until its owner publishes new ones: sending without forward secrecy`
+    );
+    return null;
+  }
+  return state.unused[crypto.randomInt(state.unused.length)];
+}
+
+/**
+ * Get the latest batch of one-time prekeys signed by the owner of a message box, and its
+ * prekeys that no encrypted message sent since names. Senders cannot decrypt the messages
+ * of others, so any message naming a prekey uses it up, even junk: the owner's poller
+ * publishes a new batch when few are left (see refillPrekeys).
+ * @param {string} messageBoxId
+ * @param {string} accountId - The account that owns the message box
+ * @returns {Promise<{batch: Object, unused: Array<{id: string, key: string}>}|null>} The batch, or null if none was published
+ * @throws {Error} If the message box cannot be read
+ */
+async function getPrekeyBatch(messageBoxId, accountId) {
+  const { publicKey: accountPublicKey } = await getAccountPublicKey(accountId);
+  const cached = prekeyBatchCache.get(messageBoxId);
+  const latestSequence = (await getLatestSequenceNumber(messageBoxId)) || 0;
+  const found = await findLatestTopicMessage(
+    messageBoxId,
+    async msg => {
+      const { parsed } = parseMessageContent(
+        Buffer.from(msg.message, 'base64')
+      );
+      if (parsed?.payload?.type !== 'HIP-1334_PREKEYS') return false;
+      try {
+        verifyPublicKeyMessage(
+          parsed,
+          accountId,
+          messageBoxId,
+          accountPublicKey
+        );
+      } catch {
+        console.warn(
+          `⚠ Skipping invalid prekeys message at sequence ${msg.sequence_number}`
+        );
+        return false;
+      }
+      // Prekeys copied from another message box are not for this one
+      return (
+        parsed.payload.messageBoxId === messageBoxId &&
+        Array.isArray(parsed.payload.prekeys)
+      );
+    },
+    { afterSequence: cached ? cached.scannedSequence : 0 }
+  );
+
+  let state;
+  if (found) {
+    const endSequence = found._maxSequence || found.sequence_number;
+    state = {
+      batch: parseMessageContent(Buffer.from(found.message, 'base64')).parsed,
+      used: new Set(),
+      scannedSequence: endSequence,
+    };
+  } else if (cached?.batch) {
+    // The account key may have changed since the batch was cached
+    verifyPublicKeyMessage(
+      cached.batch,
+      accountId,
+      messageBoxId,
+      accountPublicKey
+    );
+    state = cached;
+  } else {
+    prekeyBatchCache.set(messageBoxId, {
+      batch: null,
+      scannedSequence: latestSequence,
+    });
+    return null;
+  }
+
+  const { payload } = state.batch;
+  const { used } = state;
+  const sentSince =
+    state.scannedSequence < latestSequence
+      ? await getMessagesInRange(
+          messageBoxId,
+          state.scannedSequence + 1,
+          latestSequence
+        )
+      : [];
+  for (const msg of sentSince) {
+    const { parsed } = parseMessageContent(Buffer.from(msg.message, 'base64'));
+    if (parsed?.type !== 'HIP-1334_ENCRYPTED_MESSAGE' || !parsed.data) {
+      continue;
+    }
+    if (parsed.data.prekeyId) used.add(parsed.data.prekeyId);
+    for (const slot of parsed.data.recipients || []) {
+      if (slot?.prekeyId) used.add(slot.prekeyId);
+    }
+  }
+  prekeyBatchCache.set(messageBoxId, {
+    ...state,
+    scannedSequence: Math.max(state.scannedSequence, latestSequence),
+  });
+
+  return {
+    batch: state.batch,
+    unused: payload.prekeys.filter(prekey => !used.has(prekey.id)),
+  };
+}
+
+/**
+ * Get the latest public key of the sender's own message box, for the sender copy key slot.
+ * The copy is encrypted with the same content key as the message, so it must be as strong
+ * as the recipients' cipher suites: a weaker key is not used.
+ * @param {string} senderAccountId
+ * @param {Object} options
+ * @param {boolean} options.required - Whether the sender copy was explicitly requested (warns if not possible)
+ * @param {number} options.minCipherStrength - Minimum security strength in bits
+ * @returns {Promise<string|Object|null>} The public key, or null if the sender has no usable message box
+ */
+async function getSenderCopyKey(senderAccountId, options) {
+  const { required, minCipherStrength } = options;
+  try {
+    const messageBoxId = extractMessageBoxIdFromMemo(
+      await getAccountMemo(senderAccountId)
+    );
+    if (!messageBoxId) throw new Error('no message box configured');
+    const { payload } = await getLatestPublicKey(messageBoxId, senderAccountId);
+    try {
+      selectCipherSuite(
+        payload.cipherSuites || getCipherSuites(payload.publicKey),
+        payload.publicKey,
+        { minStrength: minCipherStrength }
+      );
+    } catch (error) {
+      // Weaker than asked for, even if the copy was not explicitly requested
+      console.warn(
+        `⚠ No copy kept for the sender ${senderAccountId}: ${error.message}`
+      );
+      return null;
+    }
+    return payload.publicKey;
+  } catch (error) {
+    (required ? console.warn : console.debug)(
+      `⚠ Cannot keep a copy for the sender ${senderAccountId} (${error.message}), the sender won't be able to read this message`
+    );
+    return null;
+  }
+}
+
+/**
+ * Build the plaintext that is encrypted for the recipients, embedding the sender identity.
+ * The payload is signed with the sender's Hedera key and bound to the recipients' message boxes,
+ * so it cannot be replayed into another box. A single recipient is bound with `messageBoxId`,
+ * several recipients with the `recipients` list. If no sender credentials are available, the
+ * message is sent unsigned and the recipients will show it as unverified.
+ * Attachments and reply references are part of the signed payload.
+ * @param {string} message - Message text
+ * @param {Array<{accountId: string, messageBoxId: string}>} recipients - Recipients and their message box topic IDs
+ * @param {string} [senderAccountId] - Sender account ID
+ * @param {string} [senderPrivateKey] - Sender DER-encoded private key
+ * @param {Object} extras - Optional payload fields
+ * @param {import('./attachments').Attachment} [extras.attachment] - Attached file
+ * @param {string} [extras.inReplyTo] - ID of the message this message replies to
+ * @param {boolean} [extras.requestReceipt] - Ask the recipients for receipts (signed messages only)
+ * @param {{messageId: string, status: string}} [extras.receipt] - Receipt for a received message
+ * @returns {string} Plaintext to encrypt
+ */
+function buildSignedContent(
+  message,
+  recipients,
+  senderAccountId,
+  senderPrivateKey,
+  extras = {}
+) {
+  const { attachment, inReplyTo, requestReceipt, receipt } = extras;
+  const signed = senderAccountId && senderPrivateKey;
+  if (!signed) {
+    console.warn(
+      '⚠ Sender credentials not configured, the message will be unverified'
+    );
+    // Plain text, unless the envelope is needed to carry other fields
+    if (!attachment && !inReplyTo && !receipt) return message;
+  }
+
+  const payload = {
+    type: 'HIP-1334_SIGNED_MESSAGE',
+    message,
+    sender: senderAccountId,
+  };
+  if (recipients.length === 1) {
+    payload.messageBoxId = recipients[0].messageBoxId;
+  } else {
+    payload.recipients = recipients.map(({ accountId, messageBoxId }) => ({
+      accountId,
+      messageBoxId,
+    }));
+  }
+  if (attachment) payload.attachment = attachment;
+  if (inReplyTo) payload.inReplyTo = inReplyTo;
+  if (receipt) payload.receipt = receipt;
+  if (!signed) return JSON.stringify({ payload });
+  // Receipts are only sent for messages from verified senders
+  if (requestReceipt) payload.requestReceipt = true;
+
+  const { keyHex, keyType } = parseHederaPrivateKey(senderPrivateKey);
+  const { publicKeyHex } = derivePublicKeyFromHederaKey(senderPrivateKey);
+  const signature = signMessage(canonicalJSON(payload), keyHex, keyType);
+  console.debug(`✓ Message signed by sender ${senderAccountId}`);
+
+  return JSON.stringify({
+    payload,
+    proof: {
+      accountId: senderAccountId,
+      signerPublicKey: publicKeyHex,
+      signerKeyType: keyType,
+      signature,
+    },
+  });
+}
+
+/**
+ * Extract the signed payload and proof from decrypted plaintext, if present
+ * @param {string} decrypted - Decrypted plaintext
+ * @returns {{message: string, payload: Object|null, proof: Object|null}}
+ */
+function parseSignedContent(decrypted) {
+  try {
+    const parsed = JSON.parse(decrypted);
+    if (
+      parsed &&
+      parsed.payload &&
+      parsed.payload.type === 'HIP-1334_SIGNED_MESSAGE'
+    ) {
+      return {
+        message: String(parsed.payload.message),
+        payload: parsed.payload,
+        proof: parsed.proof || null,
+      };
+    }
+  } catch {
+    // Not a signed envelope, fall through to plain text
+  }
+  return { message: decrypted, payload: null, proof: null };
+}
+
+/**
+ * Verify the sender identity of a decrypted message against the sender's account key.
+ * - verified: the signature is valid and made with the sender account's current key
+ * - unverified: the message carries no signature, or the account key could not be retrieved
+ * - forged: the signature, signer key or bound message box(es) do not match the claimed sender
+ * @param {Object|null} payload - Signed payload
+ * @param {Object|null} proof - Signature proof
+ * @param {string} messageBoxId - The message box the message was read from
+ * @param {Map} [accountKeyCache] - Cache of account public keys, keyed by account ID
+ * @returns {Promise<{status: string, accountId: string|null, reason?: string}>}
+ */
+async function verifySender(
+  payload,
+  proof,
+  messageBoxId,
+  accountKeyCache = new Map()
+) {
+  if (!payload || !proof) {
+    return { status: 'unverified', accountId: null, reason: 'not signed' };
+  }
+
+  const accountId = payload.sender || null;
+  if (
+    !proof.signature ||
+    !proof.signerPublicKey ||
+    !proof.signerKeyType ||
+    proof.accountId !== accountId
+  ) {
+    return { status: 'forged', accountId, reason: 'malformed proof' };
+  }
+
+  if (Array.isArray(payload.recipients)) {
+    if (!payload.recipients.some(r => r && r.messageBoxId === messageBoxId)) {
+      return {
+        status: 'forged',
+        accountId,
+        reason: `not signed for message box ${messageBoxId}`,
+      };
+    }
+  } else if (payload.messageBoxId !== messageBoxId) {
+    return {
+      status: 'forged',
+      accountId,
+      reason: `signed for message box ${payload.messageBoxId}`,
+    };
+  }
+
+  let accountKey = accountKeyCache.get(accountId);
+  if (!accountKey) {
+    try {
+      accountKey = await getAccountPublicKey(accountId);
+      accountKeyCache.set(accountId, accountKey);
+    } catch (error) {
+      return { status: 'unverified', accountId, reason: error.message };
+    }
+  }
+
+  if (proof.signerPublicKey !== accountKey.publicKey) {
+    return {
+      status: 'forged',
+      accountId,
+      reason: 'signer key does not match account key',
+    };
+  }
+
+  let isValid = false;
+  try {
+    isValid = verifySignature(
+      canonicalJSON(payload),
+      proof.signature,
+      proof.signerPublicKey,
+      proof.signerKeyType
+    );
+  } catch {
+    isValid = false;
+  }
+
+  return isValid
+    ? { status: 'verified', accountId }
+    : { status: 'forged', accountId, reason: 'invalid signature' };
+}
+
+/**
+ * Decode a raw Mirror Node message into a structured message record.
+ * Encrypted messages are decrypted and their sender identity is verified.
+ * Attachments are checked, and saved only if a folder is given and the sender is not
+ * forged, once the sender is verified.
+ * @param {Object} msg - Raw message object from Hedera (chunks already reassembled)
+ * @param {Array<string|Object>} privateKeys - Current and retired private keys: RSA (PEM string) or ECIES key objects
+ * @param {string} messageBoxId - The message box the message was read from
+ * @param {Map} [accountKeyCache] - Cache of account public keys used for sender verification
+ * @param {string|null} [attachmentsDir] - Folder where attachments are saved (not saved if not set)
+ * @param {{dataDir: string, accountId: string}} [prekeyStore] - Where the one-time prekeys of the owner are stored
+ * @returns {Promise<MessageRecord>} Structured message record
+ */
+async function decodeMessage(
+  msg,
+  privateKeys,
+  messageBoxId,
+  accountKeyCache,
+  attachmentsDir,
+  prekeyStore
+) {
+  const messageBuffer = Buffer.from(msg.message, 'base64');
+  const { parsed, format, raw } = parseMessageContent(messageBuffer);
+
+  const record = {
+    id: getMessageId(messageBoxId, msg.sequence_number),
+    sequence: {
+      start: msg.sequence_number,
+      end: msg._maxSequence || msg.sequence_number,
+    },
+    consensusTimestamp: msg.consensus_timestamp,
+    timestamp: new Date(
+      parseFloat(msg.consensus_timestamp) * 1000
+    ).toISOString(),
+    payer: msg.payer_account_id,
+    format,
+    type: 'PLAIN',
+    plaintext: null,
+    error: null,
+    sender: null,
+    recipients: null,
+    attachment: null,
+    inReplyTo: null,
+    receiptRequested: false,
+    receipt: null,
+    unauthenticated: false,
+    forwardSecret: false,
+    envelope: parsed || raw,
+  };
+
+  if (parsed && parsed.type === 'HIP-1334_ENCRYPTED_MESSAGE') {
+    record.type = parsed.type;
+    let decrypted;
+    try {
+      const { compression } = parsed;
+      const result = decryptWithKeys(
+        parsed.data,
+        privateKeys,
+        messageBoxId,
+        compression ? null : 'utf8',
+        prekeyStore
+      );
+      record.unauthenticated = result.unauthenticated;
+      record.forwardSecret = result.forwardSecret === true;
+      decrypted = result.message;
+      if (compression) decrypted = decompressPayload(decrypted, compression);
+    } catch (error) {
+      record.error = error.message;
+      return record;
+    }
+    const { message, payload, proof } = parseSignedContent(decrypted);
+    record.plaintext = message;
+    record.recipients = getMessageRecipients(parsed.data, payload);
+    if (payload && isMessageId(payload.inReplyTo)) {
+      record.inReplyTo = payload.inReplyTo;
+    }
+    if (payload) {
+      record.receiptRequested = payload.requestReceipt === true;
+      record.receipt = parseReceipt(payload.receipt);
+    }
+    record.sender = await verifySender(
+      payload,
+      proof,
+      messageBoxId,
+      accountKeyCache
+    );
+    if (payload && payload.attachment) {
+      record.attachment = receiveAttachment(
+        payload.attachment,
+        record.sender.status === 'forged' ? null : attachmentsDir,
+        record.sequence.start
+      );
+    }
+  } else if (
+    parsed &&
+    (parsed.type === 'HIP-1334_PUBLIC_KEY' ||
+      (parsed.payload && parsed.payload.type === 'HIP-1334_PUBLIC_KEY'))
+  ) {
+    record.type = 'HIP-1334_PUBLIC_KEY';
+  } else if (parsed && parsed.payload?.type === 'HIP-1334_PREKEYS') {
+    record.type = 'HIP-1334_PREKEYS';
+  } else {
+    record.plaintext = raw;
+  }
+
+  return record;
+}
+
+/**
+ * Decrypt a message trying the current private key first, then the retired ones.
+ * For multi-recipient messages, only the key slots of the message box and the unlabeled
+ * sender copy slots are tried. Messages encrypted for a one-time prekey of the owner are
+ * decrypted with the prekey. The prekey is not deleted here: decoding has no side effects,
+ * the poller marks it used once the message is handled (see markUsedPrekeys).
+ * @param {Object} encryptedData - Encrypted data object
+ * @param {Array<string|Object>} privateKeys - Current and retired private keys
+ * @param {string} messageBoxId - The message box the message was read from
+ * @param {string|null} [encoding='utf8'] - Encoding of the decrypted message, or null for a Buffer
+ * @param {{dataDir: string, accountId: string}} [prekeyStore] - Where the one-time prekeys of the owner are stored
+ * @returns {{message: string|Buffer, unauthenticated: boolean, forwardSecret?: boolean}} Decrypted message (see decryptMessage)
+ * @throws {Error} The error of the current key if no key can decrypt the message
+ */
+function decryptWithKeys(
+  encryptedData,
+  privateKeys,
+  messageBoxId,
+  encoding = 'utf8',
+  prekeyStore = null
+) {
+  const prekeyId = getPrekeyId(encryptedData, messageBoxId);
+  const prekey =
+    prekeyId && prekeyStore
+      ? getPrekeyPrivateKey(
+          prekeyStore.dataDir,
+          prekeyStore.accountId,
+          prekeyId
+        )
+      : null;
+  if (prekey) {
+    const result = decryptMessage(encryptedData, prekey, {
+      encoding,
+      messageBoxId,
+      detailed: true,
+    });
+    return { ...result, forwardSecret: true };
+  }
+
+  // Without the prekey, only the sender copy slot can still be decrypted
+  let firstError = null;
+  for (const privateKey of privateKeys) {
+    try {
+      return decryptMessage(encryptedData, privateKey, {
+        encoding,
+        messageBoxId,
+        detailed: true,
+      });
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+  if (prekeyId) {
+    throw new Error(
+      `Message encrypted for the one-time prekey ${prekeyId}, which was already used and deleted, or is not stored here`
+    );
+  }
+  throw firstError;
+}
+
+/**
+ * Get the one-time prekey a message was encrypted for
+ * @param {Object} encryptedData - Encrypted data object
+ * @param {string} messageBoxId - The message box the message was read from
+ * @returns {string|undefined} The prekey ID, if any
+ */
+function getPrekeyId(encryptedData, messageBoxId) {
+  if (encryptedData.type !== 'MULTI') return encryptedData.prekeyId;
+  // The key slots are left as they are: their message boxes are authenticated
+  return (encryptedData.recipients || []).find(
+    slot => slot && slot.messageBoxId === messageBoxId && slot.prekeyId
+  )?.prekeyId;
+}
+
+/**
+ * Mark the one-time prekeys of forward secret messages as used, once the poller has handled
+ * them. They are deleted when the next batch is published, so the message of another sender
+ * who picked the same prekey can still be decrypted until then: after that, their messages
+ * cannot be decrypted anymore, by anybody.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} messageBoxId
+ * @param {MessageRecord[]} records - Handled message records
+ */
+function markUsedPrekeys(dataDir, accountId, messageBoxId, records) {
+  for (const record of records) {
+    if (!record.forwardSecret) continue;
+    const prekeyId = getPrekeyId(record.envelope.data, messageBoxId);
+    if (prekeyId) markPrekeyUsed(dataDir, accountId, prekeyId);
+  }
+}
+
+/**
+ * Check whether received messages name one-time prekeys, which senders then count as used
+ * @param {MessageRecord[]} records - Received message records
+ * @param {string} messageBoxId
+ * @returns {boolean}
+ */
+function namePrekeys(records, messageBoxId) {
+  return records.some(
+    record =>
+      record.type === 'HIP-1334_ENCRYPTED_MESSAGE' &&
+      record.envelope?.data &&
+      typeof record.envelope.data === 'object' &&
+      getPrekeyId(record.envelope.data, messageBoxId)
+  );
+}
+
+/**
+ * Publish a new batch of one-time prekeys when fewer than PREKEY_REFILL_THRESHOLD (5 by default,
+ * 0 disables it) prekeys of the latest batch are unused for senders. Junk messages naming prekeys
+ * use them up too, so the owner doesn't wait for them to fail. Owners who never published
+ * prekeys don't get any. Failures are logged and don't stop the poller.
+ * @param {import("@hashgraph/sdk").Client} client
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} messageBoxId
+ * @returns {Promise<boolean>} Whether a new batch was published
+ */
+async function refillPrekeys(client, dataDir, accountId, messageBoxId) {
+  try {
+    const threshold = getNonNegativeIntegerEnv('PREKEY_REFILL_THRESHOLD', 5);
+    if (threshold === 0) return false;
+    const state = await getPrekeyBatch(messageBoxId, accountId);
+    if (!state || state.unused.length >= threshold) return false;
+    console.log(
+      `⚙ ${state.unused.length} unused one-time prekey(s) left for senders, publishing new ones...`
+    );
+    await publishPrekeys(client, dataDir, accountId);
+    return true;
+  } catch (error) {
+    console.warn(`⚠ One-time prekeys not refilled: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Check a received attachment and save it to the attachments folder
+ * @param {Object} attachment - Attachment from the signed payload
+ * @param {string} [attachmentsDir] - Folder where attachments are saved (not saved if not set)
+ * @param {number} sequenceNumber - Sequence number of the message
+ * @returns {AttachmentRecord}
+ */
+function receiveAttachment(attachment, attachmentsDir, sequenceNumber) {
+  let decoded;
+  try {
+    decoded = decodeAttachment(attachment);
+  } catch (error) {
+    return {
+      filename: attachment && String(attachment.filename),
+      mimeType: attachment && attachment.mimeType,
+      size: attachment && attachment.size,
+      sha256: attachment && attachment.sha256,
+      path: null,
+      error: error.message,
+    };
+  }
+
+  const { metadata, data } = decoded;
+  if (!attachmentsDir) return { ...metadata, path: null, error: null };
+  try {
+    const filePath = saveAttachment(
+      data,
+      metadata.filename,
+      attachmentsDir,
+      sequenceNumber
+    );
+    return { ...metadata, path: filePath, error: null };
+  } catch (error) {
+    return {
+      ...metadata,
+      path: null,
+      error: `Failed to save attachment: ${error.message}`,
+    };
+  }
+}
+
+/**
+ * Format an attachment record into a single line (used by formatMessage)
+ * @param {AttachmentRecord} attachment
+ * @returns {string}
+ */
+function formatAttachment(attachment) {
+  const info = `📎 ${attachment.filename} (${attachment.mimeType}, ${attachment.size} bytes)`;
+  if (attachment.error) return `${info} not saved: ${attachment.error}`;
+  return attachment.path ? `${info} saved to ${attachment.path}` : info;
+}
+
+/**
+ * Get the recipients of a multi-recipient message: the signed list if the message
+ * is signed, otherwise the key slots of the envelope
+ * @param {Object} encryptedData - Encrypted data object
+ * @param {Object|null} payload - Signed payload
+ * @returns {Array<{accountId: string, messageBoxId: string}>|null} Recipients, or null for single-recipient messages
+ */
+function getMessageRecipients(encryptedData, payload) {
+  if (payload) {
+    return Array.isArray(payload.recipients) ? payload.recipients : null;
+  }
+  if (encryptedData.type !== 'MULTI') return null;
+  // Sender copy slots are not labeled
+  const recipients = encryptedData.recipients
+    .filter(slot => slot.messageBoxId)
+    .map(({ accountId, messageBoxId }) => ({ accountId, messageBoxId }));
+  return recipients.length > 1 ? recipients : null;
+}
+
+/**
+ * Parse a date of a search filter
+ * @param {Date|string} [value] - Date, or date string (e.g. '2026-10-19' or '2026-10-19T10:00:00Z')
+ * @param {boolean} endOfDay - For dates without time, use the end of the day instead of the start
+ * @returns {Date|undefined}
+ * @throws {Error} If the date is invalid
+ */
+function parseSearchDate(value, endOfDay) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const dayOnly =
+    typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  const date =
+    dayOnly && endOfDay ? new Date(`${value}T23:59:59.999Z`) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date "${value}". Use YYYY-MM-DD or an ISO date`);
+  }
+  return date;
+}
+
+/**
+ * Build the stable ID of a message from its message box and sequence number
+ * @param {string} topicId - Message box topic ID
+ * @param {number} sequenceNumber - Sequence number (first chunk for chunked messages)
+ * @returns {string} Message ID, e.g. '0.0.5678@42'
+ */
+function getMessageId(topicId, sequenceNumber) {
+  return `${topicId}@${sequenceNumber}`;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a valid message ID
+ */
+function isMessageId(value) {
+  return typeof value === 'string' && /^\d+\.\d+\.\d+@\d+$/.test(value);
+}
+
+/**
+ * Parse a message ID
+ * @param {string} messageId - Message ID, e.g. '0.0.5678@42'
+ * @returns {{topicId: string, sequenceNumber: number}}
+ * @throws {Error} If the message ID is invalid
+ */
+function parseMessageId(messageId) {
+  if (!isMessageId(messageId)) {
+    throw new Error(
+      `Invalid message ID "${messageId}". Expected <topic-id>@<sequence-number>, e.g. 0.0.5678@42`
+    );
+  }
+  const [topicId, sequenceNumber] = messageId.split('@');
+  return { topicId, sequenceNumber: parseInt(sequenceNumber) };
+}
+
+/**
+ * Parse the receipt of a signed payload
+ * @param {*} receipt - Receipt from the signed payload
+ * @returns {{messageId: string, status: string}|null} The receipt, or null if missing or invalid
+ */
+function parseReceipt(receipt) {
+  if (
+    !receipt ||
+    !isMessageId(receipt.messageId) ||
+    !RECEIPT_STATUSES.includes(receipt.status)
+  ) {
+    return null;
+  }
+  return { messageId: receipt.messageId, status: receipt.status };
+}
+
+/**
+ * Store the messages received by a poller in the local inbox, unread.
+ * Failures are logged and don't stop the poller.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {MessageRecord[]} records - Received message records
+ * @param {Object} cache - Poller state, for the last fetched sequence number
+ */
+function storeReceived(dataDir, accountId, records, cache) {
+  try {
+    const added = saveToInbox(dataDir, accountId, cache.inboxKeys, records, {
+      lastSequenceNumber: cache.lastSequenceNumber,
+    });
+    if (added > 0) console.debug(`✓ ${added} message(s) stored in the inbox`);
+  } catch (error) {
+    console.warn(`⚠ Messages not stored in the inbox: ${error.message}`);
+  }
+}
+
+/**
+ * Send receipts for received messages, to the message boxes of their senders.
+ * Receipts are sent only for verified messages whose sender asked for them, when the
+ * receipt policy allows it, and once per status ('read' implies 'delivered').
+ * Failures are logged and don't stop the caller.
+ * @param {import("@hashgraph/sdk").Client} client
+ * @param {string} dataDir
+ * @param {string} accountId - The message box owner
+ * @param {MessageRecord[]} records - Received message records
+ * @param {string} status - 'delivered' or 'read'
+ * @returns {Promise<number>} Number of receipts sent
+ */
+async function sendReceipts(client, dataDir, accountId, records, status) {
+  const eligible = records.filter(
+    record =>
+      record.type === 'HIP-1334_ENCRYPTED_MESSAGE' &&
+      !record.error &&
+      record.receiptRequested &&
+      !record.receipt &&
+      record.sender.status === 'verified' &&
+      record.sender.accountId !== accountId
+  );
+  if (eligible.length === 0) return 0;
+
+  let state;
+  try {
+    state = loadReceiptState(dataDir, accountId);
+  } catch (error) {
+    console.warn(`⚠ Receipts not sent: ${error.message}`);
+    return 0;
+  }
+  const policy = getReceiptPolicy(dataDir, accountId);
+  let count = 0;
+  for (const record of eligible) {
+    const contact = record.sender.accountId;
+    const enabled =
+      contact in policy.contacts ? policy.contacts[contact] : policy.default;
+    const sentStatus = state.sent[record.id];
+    if (
+      !enabled ||
+      RECEIPT_STATUSES.indexOf(sentStatus) >= RECEIPT_STATUSES.indexOf(status)
+    ) {
+      continue;
+    }
+
+    try {
+      await sendMessage(client, contact, '', {
+        receipt: { messageId: record.id, status },
+        requestReceipt: false,
+        senderCopy: false,
+      });
+      state.sent[record.id] = status;
+      saveReceiptState(dataDir, accountId, state);
+      count++;
+      console.log(`✓ Sent ${status} receipt for ${record.id} to ${contact}`);
+    } catch (error) {
+      console.warn(
+        `⚠ Failed to send ${status} receipt for ${record.id}: ${error.message}`
+      );
+    }
+  }
+  return count;
+}
+
+function getReceiptsFilePath(dataDir, accountId) {
+  return path.join(dataDir || './data', `receipts_${accountId}.json`);
+}
+
+/**
+ * Load the receipt state: the receipt policy and the receipts already sent
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {{default?: boolean, contacts: Object<string, boolean>, sent: Object<string, string>}}
+ * @throws {Error} If the receipts file is invalid
+ */
+function loadReceiptState(dataDir, accountId) {
+  const receiptsFile = getReceiptsFilePath(dataDir, accountId);
+  if (!fs.existsSync(receiptsFile)) return { contacts: {}, sent: {} };
+  try {
+    const state = JSON.parse(fs.readFileSync(receiptsFile, 'utf8'));
+    return {
+      default: typeof state.default === 'boolean' ? state.default : undefined,
+      contacts: state.contacts || {},
+      sent: state.sent || {},
+    };
+  } catch (error) {
+    throw new Error(`Invalid receipts file ${receiptsFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Save the receipt state, replacing the current one
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {{default?: boolean, contacts: Object<string, boolean>, sent: Object<string, string>}} state
+ */
+function saveReceiptState(dataDir, accountId, state) {
+  const receiptsFile = getReceiptsFilePath(dataDir, accountId);
+  const dir = path.dirname(receiptsFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  writePrivateFile(receiptsFile, JSON.stringify(state, null, 2));
+}
+
+/**
+ * Collect the messages of a thread: the oldest known ancestor of the message, and all its replies
+ * @param {Map<string, MessageRecord>} records - Known messages, keyed by ID
+ * @param {string} messageId - ID of any message of the thread
+ * @returns {MessageRecord[]} Messages of the thread, oldest first
+ */
+function collectThread(records, messageId) {
+  let rootId = messageId;
+  const visited = new Set([rootId]);
+  while (records.has(rootId)) {
+    const parentId = records.get(rootId).inReplyTo;
+    if (!parentId || visited.has(parentId) || !records.has(parentId)) break;
+    visited.add(parentId);
+    rootId = parentId;
+  }
+
+  const replies = new Map();
+  for (const record of records.values()) {
+    if (!record.inReplyTo) continue;
+    if (!replies.has(record.inReplyTo)) replies.set(record.inReplyTo, []);
+    replies.get(record.inReplyTo).push(record);
+  }
+
+  const thread = [];
+  const seen = new Set();
+  const queue = [rootId];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (seen.has(id)) continue;
+    seen.add(id);
+    if (records.has(id)) thread.push(records.get(id));
+    for (const reply of replies.get(id) || []) queue.push(reply.id);
+  }
+
+  return thread.sort((a, b) =>
+    compareConsensusTimestamps(a.consensusTimestamp, b.consensusTimestamp)
+  );
+}
+
+/**
+ * Compare two consensus timestamps (seconds.nanoseconds) without losing precision
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} Negative if a is older than b, positive if newer, 0 if equal
+ */
+function compareConsensusTimestamps(a, b) {
+  const [secondsA, nanosA = '0'] = a.split('.');
+  const [secondsB, nanosB = '0'] = b.split('.');
+  return (
+    Number(secondsA) - Number(secondsB) ||
+    Number(nanosA.padEnd(9, '0')) - Number(nanosB.padEnd(9, '0'))
+  );
+}
+
+/**
+ * Get the folder where received attachments are saved
+ * @param {string} dataDir
+ * @returns {string} ATTACHMENTS_DIR, or the attachments folder of the data directory
+ */
+function getAttachmentsDir(dataDir) {
+  return process.env.ATTACHMENTS_DIR || path.join(dataDir, 'attachments');
+}
+
+/**
+ * Get the encryption type from environment
+ * @returns {string} 'RSA' or 'ECIES'
+ */
+function getEncryptionType() {
+  return (process.env.ENCRYPTION_TYPE || 'RSA').toUpperCase();
+}
+
+/**
+ * Get the encryption public key from a public key message payload
+ * @param {Object} payload - Payload of the public key message
+ * @returns {Promise<string|Object>} Public key (PEM string for RSA, object for ECIES)
+ */
+async function getPublicKeyFromPayload(payload) {
+  try {
+    if (payload.type === 'HIP-1334_PUBLIC_KEY' && payload.publicKey) {
       const encryptionType = payload.encryptionType || 'RSA';
       console.log(`✓ Public key retrieved from topic (${encryptionType})`);
 
@@ -620,7 +2567,7 @@ async function getPublicKeyFromFirstMessage(message) {
         return payload.publicKey;
       }
     }
-    throw new Error('First message does not contain a public key');
+    throw new Error('Message does not contain a public key');
   } catch (error) {
     throw new Error(`Failed to get public key from topic: ${error.message}`);
   }
@@ -630,44 +2577,315 @@ async function getPublicKeyFromFirstMessage(message) {
  * Listen for messages
  * @param {boolean} isFirstPoll
  * @param {string} topicId
- * @param {string|Object} privateKey
+ * @param {Array<string|Object>} privateKeys - Current and retired private keys
  * @param {string} encryptionType
  * @param {object} cache
- * @returns {Promise<string[]>}
+ * @returns {Promise<MessageRecord[]>}
  */
 async function listenForMessages(
   isFirstPoll,
   topicId,
-  privateKey,
+  privateKeys,
   encryptionType,
   cache
 ) {
-  try {
-    if (isFirstPoll) {
+  if (isFirstPoll) {
+    const savedCursor =
+      cache.startFrom === 'saved' ? loadPollingCursor(cache.cursorFile) : null;
+    if (cache.startFrom === 'start') {
+      // Skip the public key message at sequence 1
+      cache.lastSequenceNumber = 1;
+      console.log('✓ Starting from the beginning of the message box\n');
+    } else if (savedCursor !== null) {
+      cache.lastSequenceNumber = savedCursor.lastSequenceNumber;
+      cache.chunkBuffer.groups = savedCursor.pendingChunks;
+      console.log(
+        `✓ Resuming from saved sequence: ${savedCursor.lastSequenceNumber}\n`
+      );
+    } else {
       const latestSeq = await getLatestSequenceNumber(topicId);
       if (latestSeq) {
         cache.lastSequenceNumber = latestSeq;
         console.log(`✓ Starting from sequence: ${cache.lastSequenceNumber}\n`);
       }
-      return [];
     }
+    // Keep the restored chunks, they are completed by the next polls
+    savePollingCursor(
+      cache.cursorFile,
+      cache.lastSequenceNumber,
+      cache.chunkBuffer.groups
+    );
+    return [];
+  }
+
+  const newMessages = await getNewMessages(
+    topicId,
+    cache.lastSequenceNumber,
+    cache.chunkBuffer
+  );
+  const messages = await processNewMessages(
+    newMessages,
+    topicId,
+    privateKeys,
+    cache
+  );
+
+  // Move past the chunks held in the buffer, they are saved with the cursor
+  if (cache.chunkBuffer.lastSequenceNumber > cache.lastSequenceNumber) {
+    cache.lastSequenceNumber = cache.chunkBuffer.lastSequenceNumber;
+  }
+
+  return messages;
+}
+
+/**
+ * Decode new raw messages and advance the polling cursor (the poller saves it once the
+ * messages are handled).
+ * Messages at or before the cursor are skipped, so the same message can be fed twice
+ * (e.g. by the REST poller and by the topic stream) without being reported twice.
+ * @param {Array} rawMessages - Raw messages in Mirror Node format (chunks already reassembled)
+ * @param {string} topicId
+ * @param {Array<string|Object>} privateKeys - Current and retired private keys
+ * @param {object} cache
+ * @returns {Promise<MessageRecord[]>}
+ */
+async function processNewMessages(rawMessages, topicId, privateKeys, cache) {
+  const messages = [];
+  for (const msg of rawMessages) {
+    // Chunked messages completed by a later chunk start before the cursor
+    const lastSeq = msg._maxSequence || msg.sequence_number;
+    if (lastSeq <= cache.lastSequenceNumber) continue;
+
+    messages.push(
+      await decodeMessage(
+        msg,
+        privateKeys,
+        topicId,
+        cache.accountKeys,
+        cache.attachmentsDir,
+        cache.prekeyStore
+      )
+    );
+
+    cache.lastSequenceNumber = lastSeq;
+    cache.lastConsensusTimestamp = msg.consensus_timestamp;
+  }
+
+  return messages;
+}
+
+/**
+ * Verify that a public key message was signed by the message box owner.
+ * Anybody can submit messages to a message box, so a public key is only trusted
+ * if it is signed by the current key of the account.
+ * @param {Object} keyMessage - Parsed public key message ({payload, proof})
+ * @param {string} accountId - The account that owns the message box
+ * @param {string} messageBoxId
+ * @param {string} accountPublicKey - The account's public key from Mirror Node (hex)
+ * @throws {PublicKeySignerError} If the message is not signed with the current key of the account
+ * @throws {Error} If the message is malformed, or signed for another account or message box
+ */
+function verifyPublicKeyMessage(
+  keyMessage,
+  accountId,
+  messageBoxId,
+  accountPublicKey
+) {
+  // Check if the message has the new structure with payload and proof
+  if (!keyMessage || !keyMessage.payload || !keyMessage.proof) {
+    throw new Error(
+      '⚠ SECURITY WARNING: Public key message does not have the required structure!\n' +
+        '  Expected: { payload: {...}, proof: {...} }\n' +
+        '  This message box may be using an old format or could be fraudulent.\n' +
+        '  Refusing to send message for security reasons.'
+    );
+  }
+
+  const { payload, proof } = keyMessage;
+
+  // Check if proof has all required fields
+  if (
+    !proof.signature ||
+    !proof.signerPublicKey ||
+    !proof.signerKeyType ||
+    !proof.accountId
+  ) {
+    throw new Error(
+      '⚠ SECURITY WARNING: Public key message proof does not contain required fields!\n' +
+        '  This message box may be using an old format or could be fraudulent.\n' +
+        '  Refusing to send message for security reasons.'
+    );
+  }
 
-    const newMessages = await getNewMessages(topicId, cache.lastSequenceNumber);
-    const messages = [];
+  // Verify that the accountId in the proof matches the recipient
+  if (proof.accountId !== accountId) {
+    throw new Error(
+      `⚠ SECURITY WARNING: Message box ${messageBoxId} is for account ${proof.accountId}, not ${accountId}!\n` +
+        `  This could be a misconfigured or fraudulent message box.\n` +
+        `  Refusing to send message for security reasons.`
+    );
+  }
+
+  // A signed message copied from another message box is not for this one.
+  // Public key messages published before the message box was signed in have no messageBoxId
+  if (
+    payload.messageBoxId !== undefined &&
+    payload.messageBoxId !== messageBoxId
+  ) {
+    throw new Error(
+      `⚠ SECURITY WARNING: Message signed for message box ${payload.messageBoxId}, found in ${messageBoxId}!\n` +
+        `  This message may have been copied from another message box.\n` +
+        `  Refusing to send message for security reasons.`
+    );
+  }
+
+  // Verify that the signer's public key matches the recipient's public key
+  if (proof.signerPublicKey !== accountPublicKey) {
+    throw new PublicKeySignerError(
+      `⚠ SECURITY WARNING: Message box ${messageBoxId} was NOT signed by account ${accountId}!\n` +
+        `  Expected public key: ${accountPublicKey}\n` +
+        `  Signer public key: ${proof.signerPublicKey}\n` +
+        `  The account's public key may have changed, or this could be fraudulent.\n` +
+        `  Refusing to send message for security reasons.`
+    );
+  }
+
+  // Verify the signature against the payload (not including proof)
+  // Use canonical JSON to ensure deterministic serialization matches signing
+  const isValid = verifySignature(
+    canonicalJSON(payload),
+    proof.signature,
+    proof.signerPublicKey,
+    proof.signerKeyType
+  );
 
-    newMessages.forEach(msg => {
-      messages.push(formatMessage(msg, privateKey, encryptionType));
+  if (!isValid) {
+    throw new Error(
+      '⚠ SECURITY WARNING: Signature verification failed!\n' +
+        '  The public key message signature is invalid.\n' +
+        '  This could be a tampered or fraudulent message box.\n' +
+        '  Refusing to send message for security reasons.'
+    );
+  }
+}
 
-      const lastSeq = msg._maxSequence || msg.sequence_number;
-      if (lastSeq > cache.lastSequenceNumber)
-        cache.lastSequenceNumber = lastSeq;
-    });
+/**
+ * Get the latest validly signed public key of a message box.
+ * The key is published in the first message, and again in the same topic on each rotation,
+ * with an increasing `keyVersion`: the key with the highest version wins, so an older signed
+ * key message submitted again doesn't replace the current key. Public key messages not
+ * signed by the account, or signed for another message box, are skipped. Key messages
+ * published before versions have none, and count as version 0: they are only accepted as
+ * the first message, since a message not bound to the message box and its version could be
+ * replayed from another message box of the account.
+ * Results are cached, so later calls only scan the messages received since.
+ * @param {string} messageBoxId
+ * @param {string} accountId - The account that owns the message box
+ * @returns {Promise<{payload: Object, proof: Object, sequenceNumber: number}>} The public key message
+ * @throws {Error} If no validly signed public key is found
+ */
+async function getLatestPublicKey(messageBoxId, accountId) {
+  const { publicKey: accountPublicKey } = await getAccountPublicKey(accountId);
+  const cached = publicKeyCache.get(messageBoxId);
+  const latestSequence = await getLatestSequenceNumber(messageBoxId);
+
+  // A key published later replaces an earlier one only with a higher version
+  const supersedes = (later, earlier) =>
+    getKeyVersion(later.payload) > getKeyVersion(earlier.payload);
+
+  let firstError = null;
+  let found = null;
+  await findLatestTopicMessage(
+    messageBoxId,
+    async msg => {
+      let keyMessage = null;
+      try {
+        keyMessage = JSON.parse(
+          Buffer.from(msg.message, 'base64').toString('utf8')
+        );
+      } catch {
+        // Not JSON: encrypted CBOR or plain text message
+      }
+      const isKeyMessage =
+        keyMessage?.payload?.type === 'HIP-1334_PUBLIC_KEY' ||
+        msg.sequence_number === 1; // The first message must be a public key
+      if (!isKeyMessage) return false;
+
+      try {
+        verifyPublicKeyMessage(
+          keyMessage,
+          accountId,
+          messageBoxId,
+          accountPublicKey
+        );
+        const { messageBoxId: boundTo, keyVersion } = keyMessage.payload;
+        if (
+          (boundTo === undefined || keyVersion === undefined) &&
+          msg.sequence_number !== 1
+        ) {
+          throw new Error(
+            `⚠ SECURITY WARNING: Public key message at sequence ${msg.sequence_number} has no message box or key version!\n` +
+              `  Only the first message of a message box may omit them: this one may have been replayed.\n` +
+              `  Refusing to use this key for security reasons.`
+          );
+        }
+        getKeyVersion(keyMessage.payload);
+      } catch (error) {
+        console.warn(
+          `⚠ Skipping invalid public key message at sequence ${msg.sequence_number}`
+        );
+        // After an account key update, report that rather than junk sent by others
+        if (
+          !firstError ||
+          (error instanceof PublicKeySignerError &&
+            !(firstError instanceof PublicKeySignerError))
+        ) {
+          firstError = error;
+        }
+        return false;
+      }
+      const { payload, proof } = keyMessage;
+      const candidate = { payload, proof, sequenceNumber: msg.sequence_number };
+      if (!found || !supersedes(found, candidate)) found = candidate;
+      // Keep scanning: an older message may have a higher version
+      return false;
+    },
+    { afterSequence: cached ? cached.scannedSequence : 0 }
+  );
 
-    return messages;
-  } catch (error) {
-    console.error('Error polling:', error.message);
-    return [];
+  let latest;
+  if (cached) {
+    // The account key may have changed since the key was cached
+    let cachedValid = true;
+    try {
+      verifyPublicKeyMessage(
+        cached.publicKey,
+        accountId,
+        messageBoxId,
+        accountPublicKey
+      );
+    } catch (error) {
+      if (!found) throw error;
+      cachedValid = false;
+    }
+    latest =
+      found && (!cachedValid || supersedes(found, cached.publicKey))
+        ? found
+        : cached.publicKey;
+  } else if (found) {
+    latest = found;
+  } else {
+    throw (
+      firstError ||
+      new Error(`No public key found in message box ${messageBoxId}`)
+    );
   }
+
+  publicKeyCache.set(messageBoxId, {
+    publicKey: latest,
+    scannedSequence: latestSequence || 0,
+  });
+  return latest;
 }
 
 /**
@@ -678,6 +2896,8 @@ async function listenForMessages(
  * @param {string|Object} publicKey - The encryption public key (RSA or ECIES)
  * @param {string} encryptionType - 'RSA' or 'ECIES'
  * @param {string} accountId - The account ID that owns this message box
+ * @param {string} accountPrivateKey - DER-encoded private key of the account owner
+ * @param {number} [keyVersion=1] - Key version, higher than the previous key's on rotation
  */
 async function publishPublicKey(
   client,
@@ -685,30 +2905,66 @@ async function publishPublicKey(
   publicKey,
   encryptionType,
   accountId,
-  accountPrivateKey
+  accountPrivateKey,
+  keyVersion = 1
 ) {
-  // Parse the account owner's private key
-  const { keyHex, keyType } = parseHederaPrivateKey(accountPrivateKey);
-
-  // Get account owner's public key (this will be verified by senders against Mirror Node)
-  const { publicKeyHex } = derivePublicKeyFromHederaKey(accountPrivateKey);
-
   // Create the encryption public key payload (what senders will use to encrypt messages)
+  // ECIES keys record their curve, so senders know how to encrypt for them, and the cipher
+  // suites let senders pick the strongest one both sides support. The message box and the
+  // version are signed too, so the message cannot be replayed in another message box, or
+  // after a rotation to bring an older key back
+  const encryptionPublicKey =
+    encryptionType === 'ECIES'
+      ? { ...publicKey, curve: publicKey.curve || 'secp256k1' }
+      : publicKey;
   const payload = {
     type: 'HIP-1334_PUBLIC_KEY',
-    publicKey,
+    messageBoxId,
+    keyVersion,
+    publicKey: encryptionPublicKey,
     encryptionType,
+    cipherSuites: getCipherSuites(encryptionPublicKey),
   };
+  const firstMessage = signOwnerPayload(payload, accountId, accountPrivateKey);
+  const { signerKeyType: keyType, signerPublicKey: publicKeyHex } =
+    firstMessage.proof;
+
+  // Submit the signed message
+  // Note: The operator (client) pays for the transaction (could be a third party)
+  // but the signature proves the account owner authorized this message box
+  const message = JSON.stringify(firstMessage);
+  const result = await submitMessageToHCS(client, messageBoxId, message);
+  if (!result.success)
+    throw new Error(`Failed to publish public key: ${result.error}`);
+  console.log(
+    `✓ Public key published with signature (${payload.cipherSuites.join(', ')}, ${keyType})`
+  );
+  console.log(`  Account: ${accountId}`);
+  console.log(`  Signer public key: ${publicKeyHex.substring(0, 16)}...`);
+}
+
+/**
+ * Sign a payload published to the message box with the account owner's private key.
+ * The signature proves that the account owner authorized it, whoever pays for the transaction.
+ * @param {Object} payload - Payload to sign
+ * @param {string} accountId - The account ID that owns the message box
+ * @param {string} accountPrivateKey - DER-encoded private key of the account owner
+ * @returns {{payload: Object, proof: Object}} The message to publish
+ */
+function signOwnerPayload(payload, accountId, accountPrivateKey) {
+  // Parse the account owner's private key
+  const { keyHex, keyType } = parseHederaPrivateKey(accountPrivateKey);
+
+  // Get account owner's public key (this will be verified by senders against Mirror Node)
+  const { publicKeyHex } = derivePublicKeyFromHederaKey(accountPrivateKey);
 
-  // Sign the payload with the account owner's private key
-  // This signature proves that the account owner authorized this message box
   // Use canonical JSON to ensure deterministic serialization for signature verification
   const payloadToSign = canonicalJSON(payload);
   const signature = signMessage(payloadToSign, keyHex, keyType);
 
-  // Create the complete first message with payload and separate signature info
-  const firstMessage = {
-    payload, // The encryption public key information
+  // The payload with separate signature info
+  return {
+    payload,
     proof: {
       // The ownership proof (separate from payload)
       accountId: accountId,
@@ -717,17 +2973,6 @@ async function publishPublicKey(
       signature: signature,
     },
   };
-
-  // Submit the signed message
-  // Note: The operator (client) pays for the transaction (could be a third party)
-  // but the signature proves the account owner authorized this message box
-  const message = JSON.stringify(firstMessage);
-  await submitMessageToHCS(client, messageBoxId, message);
-  console.log(
-    `✓ Public key published with signature (${encryptionType}, ${keyType})`
-  );
-  console.log(`  Account: ${accountId}`);
-  console.log(`  Signer public key: ${publicKeyHex.substring(0, 16)}...`);
 }
 
 /**
@@ -758,8 +3003,12 @@ async function checkMessageBoxStatus(messageBoxId) {
     } catch {
       return { exists: true, hasPublicKey: false };
     }
-  } catch {
-    return { exists: false, hasPublicKey: false };
+  } catch (error) {
+    // Only a missing topic means the message box is gone: don't replace it on network errors
+    if (error instanceof MirrorNodeNotFoundError) {
+      return { exists: false, hasPublicKey: false };
+    }
+    throw error;
   }
 }
 
@@ -772,12 +3021,20 @@ async function checkMessageBoxStatus(messageBoxId) {
 /**
  * Extract raw public key bytes from DER-encoded format
  * @param {string} keyHex - Public key in hex format (might be DER or raw)
- * @param {string} keyType - Key type ('secp256k1' or 'ed25519')
+ * @param {string} keyType - Key type ('secp256k1', 'x25519' or 'ed25519')
  * @returns {string} Raw key bytes in hex format
  */
 function extractRawPublicKey(keyHex, keyType = 'secp256k1') {
   const keyBuffer = Buffer.from(keyHex, 'hex');
 
+  // X25519 keys are published raw (32 bytes), and may start with 0x30
+  if (keyType === 'x25519') {
+    if (keyBuffer.length !== 32) {
+      throw new Error('Invalid X25519 public key length');
+    }
+    return keyHex;
+  }
+
   // Check if it's DER format (starts with SEQUENCE tag 0x30)
   if (keyBuffer[0] === 0x30) {
     // DER format - extract raw key from SPKI structure
@@ -806,24 +3063,28 @@ function extractRawPublicKey(keyHex, keyType = 'secp256k1') {
 }
 
 /**
- * Check if the provided private key can decrypt messages encrypted with the public key from the topic.
+ * Check if the provided private key can decrypt messages encrypted with the latest public key of the topic.
  * @param {string} messageBoxId
+ * @param {string} accountId - The account that owns the message box
  * @param {string|Object} privateKey
  * @param {string} encryptionType
  * @returns {Promise<boolean>}
  */
 async function verifyKeyPairMatchesTopic(
   messageBoxId,
+  accountId,
   privateKey,
   encryptionType
 ) {
   try {
-    console.log('⚙ Getting first message from message box...');
-    const response = await getFirstTopicMessage(messageBoxId);
-    if (!response.message) throw new Error('No messages found in topic');
-    console.log('✓ First message retrieved');
+    console.log('⚙ Getting latest public key from message box...');
+    const { payload, sequenceNumber } = await getLatestPublicKey(
+      messageBoxId,
+      accountId
+    );
+    console.log(`✓ Public key retrieved (sequence ${sequenceNumber})`);
 
-    const publicKey = await getPublicKeyFromFirstMessage(response.message);
+    const publicKey = await getPublicKeyFromPayload(payload);
     const topicEncryptionType =
       typeof publicKey === 'object' && publicKey.type === 'ECIES'
         ? 'ECIES'
@@ -837,8 +3098,8 @@ async function verifyKeyPairMatchesTopic(
     }
 
     const testMessage = 'key_verification_test';
-    const encrypted = encryptMessage(testMessage, publicKey);
-    const decrypted = decryptMessage(encrypted, privateKey);
+    const encrypted = encryptMessage(testMessage, publicKey, { messageBoxId });
+    const decrypted = decryptMessage(encrypted, privateKey, { messageBoxId });
     return decrypted === testMessage;
   } catch (error) {
     console.log('✗ Key verification failed:', error.message);
@@ -870,65 +3131,38 @@ function loadECIESKeyPair() {
   );
 
   const ownerPrivateKey = getOwnerPrivateKey();
-  const { keyHex, keyType, keyBytes } = parseHederaPrivateKey(ownerPrivateKey);
-
-  // ECIES with native Node.js crypto only supports secp256k1
-  // ED25519 cannot be used for ECDH (key exchange) - it's a signature scheme
-  // Check key type BEFORE attempting to derive public key
-  if (keyType !== 'ECDSA_SECP256K1') {
-    console.warn(
-      `\n⚠ WARNING: ECIES encryption requires a SECP256K1 key, but your Hedera account uses ${keyType}.`
-    );
-    console.warn(
-      `ED25519 is a signature algorithm and cannot be used for ECDH key exchange.\n`
-    );
+  const { keyType } = parseHederaPrivateKey(ownerPrivateKey);
 
-    const readline = require('readline').createInterface({
-      input: process.stdin,
-      output: process.stdout,
-    });
+  const keyPair = deriveECIESKeyPair(ownerPrivateKey);
+  console.log(
+    `✓ ECIES key pair derived (${keyType}, ${keyPair.publicKey.curve})`
+  );
+  return keyPair;
+}
 
-    return new Promise((resolve, reject) => {
-      readline.question(
-        '? Would you like to use RSA encryption instead? (yes/no): ',
-        ans => {
-          readline.close();
-          const answer = ans.toLowerCase().trim();
-          if (answer === 'yes' || answer === 'y') {
-            console.log('\n⚙ Switching to RSA encryption...');
-            // Switch to RSA mode
-            process.env.ENCRYPTION_TYPE = 'RSA';
-            const dataDir = process.env.RSA_DATA_DIR || './data';
-            const rsaKeyPair = loadOrGenerateRSAKeyPair(dataDir);
-            console.log(
-              '\n💡 Tip: To make this permanent, set ENCRYPTION_TYPE=RSA in your .env file'
-            );
-            resolve(rsaKeyPair);
-          } else {
-            console.log(
-              '\n⚙ Setup cancelled. Please either:\n' +
-                '  1. Set ENCRYPTION_TYPE=RSA in your .env file, or\n' +
-                '  2. Use a Hedera account with a SECP256K1 key'
-            );
-            reject(
-              new Error(
-                'ECIES encryption requires a SECP256K1 key. Setup cancelled by user.'
-              )
-            );
-          }
-        }
-      );
-    });
+/**
+ * Derive the ECIES key pair of a Hedera private key. SECP256K1 keys are used as is, on the
+ * secp256k1 curve. ED25519 keys cannot be used for ECDH, so they are converted to their
+ * X25519 form (see convertED25519ToX25519).
+ * @param {string} derPrivateKey - DER-encoded Hedera private key
+ * @returns {{ publicKey: Object, privateKey: Object }} ECIES key pair
+ */
+function deriveECIESKeyPair(derPrivateKey) {
+  const { keyHex, keyType } = parseHederaPrivateKey(derPrivateKey);
+  let curve;
+  let privateKeyHex;
+  let publicKeyHex;
+  if (keyType === 'ED25519') {
+    curve = 'x25519';
+    ({ privateKeyHex, publicKeyHex } = convertED25519ToX25519(keyHex));
+  } else if (keyType === 'ECDSA_SECP256K1') {
+    curve = 'secp256k1';
+    privateKeyHex = keyHex;
+    ({ publicKeyHex } = derivePublicKeyFromHederaKey(derPrivateKey));
+  } else {
+    throw new Error(`ECIES encryption is not supported for ${keyType} keys`);
   }
 
-  // Now derive the public key (safe because we verified it's SECP256K1)
-  const { publicKeyHex } = derivePublicKeyFromHederaKey(ownerPrivateKey);
-
-  // Determine the curve to use
-  const curve = 'secp256k1';
-
-  console.log(`✓ ECIES key pair derived (${keyType})`);
-
   return {
     publicKey: {
       type: 'ECIES',
@@ -937,7 +3171,7 @@ function loadECIESKeyPair() {
     },
     privateKey: {
       type: 'ECIES',
-      key: keyHex,
+      key: privateKeyHex,
       curve: curve,
     },
   };
@@ -945,35 +3179,96 @@ function loadECIESKeyPair() {
 
 /**
  * Generates a new RSA key pair.
- * @returns {{ publicKey: string, privateKey: string }} RSA key pair
+ * @returns {Promise<{ publicKey: string, privateKey: string }>} RSA key pair
  */
-function generateRSAKeyPair(dataDir) {
-  console.log('⚙ Generating new RSA key pair...');
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+async function generateRSAKeyPair(dataDir) {
+  console.log(`⚙ Generating new RSA-${getRSAKeySize()} key pair...`);
+  const keyPair = createRSAKeyPair();
+  await saveRSAKeyPair(dataDir, keyPair);
+  console.log(`✓ RSA key pair generated and saved to ${dataDir}`);
+  return keyPair;
+}
 
-  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
-    modulusLength: 2048,
+/**
+ * Creates a new RSA key pair, without saving it.
+ * @returns {{ publicKey: string, privateKey: string }} RSA key pair, of RSA_KEY_SIZE bits (2048 by default)
+ */
+function createRSAKeyPair() {
+  return crypto.generateKeyPairSync('rsa', {
+    modulusLength: getRSAKeySize(),
     publicKeyEncoding: { type: 'spki', format: 'pem' },
     privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
   });
+}
+
+/**
+ * @returns {number} RSA key size for new keys, in bits (RSA_KEY_SIZE, 2048 by default)
+ * @throws {Error} If the key size is not supported
+ */
+function getRSAKeySize() {
+  const keySize = parseInt(process.env.RSA_KEY_SIZE || '2048');
+  if (!RSA_KEY_SIZES.includes(keySize)) {
+    throw new Error(
+      `Invalid RSA_KEY_SIZE "${process.env.RSA_KEY_SIZE}". Use ${RSA_KEY_SIZES.join(', ')}`
+    );
+  }
+  return keySize;
+}
+
+/**
+ * Warn when the RSA key of the message box is smaller than RSA_KEY_SIZE
+ * @param {string} publicKey - RSA public key (PEM)
+ */
+function warnIfRSAKeyTooSmall(publicKey) {
+  const { modulusLength } =
+    crypto.createPublicKey(publicKey).asymmetricKeyDetails;
+  const keySize = getRSAKeySize();
+  if (modulusLength < keySize) {
+    console.warn(
+      `⚠ WARNING: The RSA key of the message box has ${modulusLength} bits, RSA_KEY_SIZE is ${keySize}`
+    );
+    console.log(
+      '💡 Tip: Rotate the message box key to use a larger key: npm run rotate-message-box-key'
+    );
+  }
+}
 
-  fs.writeFileSync(getPrivateKeyFilePath(dataDir), privateKey, 'utf8');
+/**
+ * Saves the RSA key pair in the data directory, replacing the current one.
+ * The private key is encrypted when a passphrase is available (see getRSAKeyPassphrase).
+ * @param {string} dataDir
+ * @param {{ publicKey: string, privateKey: string }} keyPair
+ */
+async function saveRSAKeyPair(dataDir, { publicKey, privateKey }) {
+  const passphrase = await getRSAKeyPassphrase(true);
+  if (!passphrase) {
+    console.warn(
+      '⚠ WARNING: No passphrase set, the RSA private key is stored unencrypted (set RSA_KEY_PASSPHRASE to protect it)'
+    );
+  }
+
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  writePrivateFile(
+    getPrivateKeyFilePath(dataDir),
+    passphrase ? encryptPrivateKeyPEM(privateKey, passphrase) : privateKey
+  );
   fs.writeFileSync(getPublicKeyFilePath(dataDir), publicKey, 'utf8');
-  console.log(`✓ RSA key pair generated and saved to ${dataDir}`);
-  return { publicKey, privateKey };
 }
 
 /**
  * Loads existing RSA key pair from files or generates a new one if not found.
- * @returns {{ publicKey: string, privateKey: string }} RSA key pair
+ * Both passphrase-protected and unencrypted private keys are supported.
+ * @returns {Promise<{ publicKey: string, privateKey: string }>} RSA key pair, with the private key unencrypted
  */
-function loadOrGenerateRSAKeyPair(dataDir) {
+async function loadOrGenerateRSAKeyPair(dataDir) {
   const privateKeyFile = getPrivateKeyFilePath(dataDir);
   const publicKeyFile = getPublicKeyFilePath(dataDir);
 
   if (fs.existsSync(privateKeyFile) && fs.existsSync(publicKeyFile)) {
     console.debug('⚙ Loading existing RSA key pair');
-    const privateKey = fs.readFileSync(privateKeyFile, 'utf8');
+    const privateKey = await unlockPrivateKeyPEM(
+      fs.readFileSync(privateKeyFile, 'utf8')
+    );
     const publicKey = fs.readFileSync(publicKeyFile, 'utf8');
     console.log('✓ RSA key pair loaded');
     return { publicKey, privateKey };
@@ -982,6 +3277,141 @@ function loadOrGenerateRSAKeyPair(dataDir) {
   return generateRSAKeyPair(dataDir);
 }
 
+/**
+ * Decrypt a passphrase-protected PEM private key, unencrypted keys are returned as they are
+ * @param {string} privateKeyPem - PEM private key
+ * @returns {Promise<string>} Unencrypted PEM private key
+ */
+async function unlockPrivateKeyPEM(privateKeyPem) {
+  if (!isEncryptedPrivateKeyPEM(privateKeyPem)) return privateKeyPem;
+
+  const passphrase = await getRSAKeyPassphrase(false);
+  if (!passphrase) {
+    throw new Error(
+      'The RSA private key is encrypted. Set RSA_KEY_PASSPHRASE or RSA_KEY_PASSPHRASE_FD, or run interactively to enter the passphrase'
+    );
+  }
+  const privateKey = decryptPrivateKeyPEM(privateKeyPem, passphrase);
+  // Only a passphrase that decrypts the key is kept, a mistyped one is asked again
+  rsaKeyPassphrase = passphrase;
+  return privateKey;
+}
+
+/**
+ * Get the passphrase protecting the RSA private key, from (in order):
+ * - the RSA_KEY_PASSPHRASE environment variable
+ * - the file descriptor in RSA_KEY_PASSPHRASE_FD (e.g. `RSA_KEY_PASSPHRASE_FD=3 npm start 3<passphrase.txt`)
+ * - a prompt, in interactive sessions only
+ * Passphrases read from the file descriptor, and new passphrases confirmed at the prompt, are kept
+ * for the process lifetime. A prompted passphrase of an existing key is kept once it decrypted the
+ * key (see unlockPrivateKeyPEM).
+ * @param {boolean} isNewKey - Whether the passphrase is for a new key: the prompt asks for a confirmation, and can be skipped
+ * @returns {Promise<string|null>} The passphrase, or null if none is available
+ */
+async function getRSAKeyPassphrase(isNewKey) {
+  if (process.env.RSA_KEY_PASSPHRASE) return process.env.RSA_KEY_PASSPHRASE;
+  if (rsaKeyPassphrase) return rsaKeyPassphrase;
+
+  if (process.env.RSA_KEY_PASSPHRASE_FD) {
+    const fd = parseInt(process.env.RSA_KEY_PASSPHRASE_FD);
+    try {
+      rsaKeyPassphrase = fs.readFileSync(fd, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+      throw new Error(
+        `Failed to read the passphrase from file descriptor ${process.env.RSA_KEY_PASSPHRASE_FD}: ${error.message}`
+      );
+    }
+    return rsaKeyPassphrase || null;
+  }
+
+  if (!process.stdin.isTTY) return null;
+
+  if (!isNewKey) {
+    const passphrase = await promptHidden(
+      '? Passphrase of the RSA private key: '
+    );
+    return passphrase || null;
+  }
+
+  const passphrase = await promptHidden(
+    '? Passphrase to encrypt the RSA private key (leave empty to store it unencrypted): '
+  );
+  if (!passphrase) return null;
+  const confirmation = await promptHidden('? Repeat the passphrase: ');
+  if (confirmation !== passphrase) throw new Error('Passphrases do not match');
+  rsaKeyPassphrase = passphrase;
+  return rsaKeyPassphrase;
+}
+
+/**
+ * Prompt the user for a secret, without echoing the answer
+ * @param {string} question - The question to ask
+ * @returns {Promise<string>} The answer
+ */
+async function promptHidden(question) {
+  const readline = require('readline').createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+  let muted = false;
+  readline._writeToOutput = text => {
+    if (!muted) process.stdout.write(text);
+  };
+
+  const answer = await new Promise(resolve => {
+    readline.question(question, ans => {
+      readline.close();
+      process.stdout.write('\n');
+      resolve(ans);
+    });
+    muted = true;
+  });
+
+  return answer;
+}
+
+/**
+ * Write a file readable by the owner only, atomically
+ * @param {string} file - File path
+ * @param {string} content - File content
+ */
+function writePrivateFile(file, content) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, content, { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpFile, file);
+}
+
+/**
+ * Read the key files of the data directory, to restore them if a key rotation fails
+ * @param {string} dataDir
+ * @returns {Map<string, string|null>} Content of each key file, null if missing
+ */
+function snapshotKeyFiles(dataDir) {
+  const files = [
+    getPrivateKeyFilePath(dataDir),
+    getPublicKeyFilePath(dataDir),
+    getKeyringFilePath(dataDir),
+  ];
+  return new Map(
+    files.map(file => [
+      file,
+      fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null,
+    ])
+  );
+}
+
+/**
+ * Restore the key files read by snapshotKeyFiles
+ * @param {Map<string, string|null>} snapshot
+ */
+function restoreKeyFiles(snapshot) {
+  for (const [file, content] of snapshot) {
+    if (content === null) fs.rmSync(file, { force: true });
+    else writePrivateFile(file, content);
+  }
+}
+
 function getPrivateKeyFilePath(dataDir) {
   return path.join(dataDir, 'rsa_private.pem');
 }
@@ -990,6 +3420,140 @@ function getPublicKeyFilePath(dataDir) {
   return path.join(dataDir, 'rsa_public.pem');
 }
 
+function getKeyringFilePath(dataDir) {
+  return path.join(dataDir, 'keyring.json');
+}
+
+/**
+ * Load the private keys retired by key rotations
+ * @param {string} dataDir
+ * @returns {Array<{encryptionType: string, publicKey: string|Object, privateKey: string|Object, retiredAt: string}>}
+ * @throws {Error} If the keyring file is invalid
+ */
+function loadKeyring(dataDir) {
+  const keyringFile = getKeyringFilePath(dataDir);
+  if (!fs.existsSync(keyringFile)) return [];
+  try {
+    const { keys } = JSON.parse(fs.readFileSync(keyringFile, 'utf8'));
+    if (!Array.isArray(keys)) throw new Error('keys is not an array');
+    return keys;
+  } catch (error) {
+    throw new Error(`Invalid keyring ${keyringFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Add a key pair to the keyring, so messages encrypted with it can still be decrypted
+ * @param {string} dataDir
+ * @param {string} encryptionType - 'RSA' or 'ECIES'
+ * @param {{ publicKey: string|Object, privateKey: string|Object }} keyPair
+ */
+async function retireKeyPair(
+  dataDir,
+  encryptionType,
+  { publicKey, privateKey }
+) {
+  const keys = loadKeyring(dataDir);
+  const id = JSON.stringify(publicKey);
+  if (keys.some(key => JSON.stringify(key.publicKey) === id)) return;
+
+  // RSA keys are protected with the same passphrase as the current key
+  const passphrase =
+    encryptionType === 'RSA' ? await getRSAKeyPassphrase(true) : null;
+  keys.push({
+    encryptionType,
+    publicKey,
+    privateKey: passphrase
+      ? encryptPrivateKeyPEM(privateKey, passphrase)
+      : privateKey,
+    retiredAt: new Date().toISOString(),
+  });
+  saveKeyring(dataDir, keys);
+  console.log(`✓ Retired ${encryptionType} key added to keyring`);
+}
+
+/**
+ * Save the keyring, replacing the current one
+ * @param {string} dataDir
+ * @param {Array<Object>} keys - Keyring entries
+ */
+function saveKeyring(dataDir, keys) {
+  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+  writePrivateFile(
+    getKeyringFilePath(dataDir),
+    JSON.stringify({ keys }, null, 2)
+  );
+}
+
+/**
+ * Get the keys to decrypt messages with: the current private key, then the retired ones
+ * @param {string} dataDir
+ * @param {string|Object} privateKey - Current private key
+ * @returns {Promise<Array<string|Object>>} Private keys, unencrypted
+ */
+async function loadDecryptionKeys(dataDir, privateKey) {
+  const retiredKeys = [];
+  for (const key of loadKeyring(dataDir)) {
+    retiredKeys.push(
+      typeof key.privateKey === 'string'
+        ? await unlockPrivateKeyPEM(key.privateKey)
+        : key.privateKey
+    );
+  }
+  return [privateKey, ...retiredKeys];
+}
+
+function getCursorFilePath(dataDir, accountId, messageBoxId, cursorName) {
+  const suffix = cursorName ? `_${cursorName}` : '';
+  return path.join(
+    dataDir || './data',
+    `cursor_${accountId}_${messageBoxId}${suffix}.json`
+  );
+}
+
+/**
+ * Load the saved polling cursor
+ * @param {string} cursorFile - Path of the cursor file
+ * @returns {{lastSequenceNumber: number, pendingChunks: Object}|null} Last fetched sequence number and
+ *   chunks of incomplete messages, or null if no valid cursor is saved
+ */
+function loadPollingCursor(cursorFile) {
+  if (!fs.existsSync(cursorFile)) return null;
+  try {
+    const { lastSequenceNumber, pendingChunks } = JSON.parse(
+      fs.readFileSync(cursorFile, 'utf8')
+    );
+    return Number.isInteger(lastSequenceNumber)
+      ? { lastSequenceNumber, pendingChunks: pendingChunks || {} }
+      : null;
+  } catch (error) {
+    console.warn(`⚠ Ignoring invalid polling cursor: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Save the polling cursor. The file is replaced atomically to survive crashes mid-write.
+ * @param {string} cursorFile - Path of the cursor file
+ * @param {number} lastSequenceNumber - Last fetched sequence number
+ * @param {Object} [pendingChunks] - Chunks of incomplete messages, reassembled when the rest arrives
+ */
+function savePollingCursor(cursorFile, lastSequenceNumber, pendingChunks = {}) {
+  const dir = path.dirname(cursorFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpFile = `${cursorFile}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({
+      lastSequenceNumber,
+      pendingChunks,
+      updatedAt: new Date().toISOString(),
+    }),
+    'utf8'
+  );
+  fs.renameSync(tmpFile, cursorFile);
+}
+
 /**
  * Extract message box ID from memo. Expected format: "[HIP-1334:0.0.xxxxx]"
  * @param {string} memo
@@ -1003,9 +3567,23 @@ function extractMessageBoxIdFromMemo(memo) {
 // == Exports =================================================================
 
 module.exports = {
+  PublicKeySignerError,
   setupMessageBox,
+  getMessageBoxStatus,
   removeMessageBox,
+  rotateMessageBoxKey,
+  publishPrekeys,
+  encryptRSAPrivateKey,
   sendMessage,
   pollMessages,
+  createMessagePoller,
   checkMessages,
+  iterateMessages,
+  getThread,
+  searchMessages,
+  getInboxKeys,
+  setReceiptPolicy,
+  getReceiptPolicy,
+  getSentMessageStatuses,
+  formatMessage,
 };
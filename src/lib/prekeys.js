@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { generateX25519KeyPair } = require('./crypto');
+
+// Version of the prekeys file format
+const PREKEYS_VERSION = 1;
+
+// == Public functions ========================================================
+
+/**
+ * One-time prekey stored by the message box owner, until the next batch is published after
+ * a message encrypted with it was received
+ * @typedef {Object} StoredPrekey
+ * @property {string} publicKey - Raw X25519 public key (hex)
+ * @property {string} privateKey - Raw X25519 private key (hex)
+ * @property {string} createdAt - When the prekey was created (ISO format)
+ * @property {string} [usedAt] - When a message encrypted with the prekey was received (ISO format)
+ */
+
+/**
+ * Generate one-time prekeys and add them to the local prekey store of the account.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {number} count - Number of prekeys to generate
+ * @returns {Array<{id: string, key: string}>} IDs and public keys of the new prekeys, to publish
+ */
+function createPrekeys(dataDir, accountId, count) {
+  const prekeys = loadPrekeys(dataDir, accountId);
+  const createdAt = new Date().toISOString();
+  const created = [];
+  for (let i = 0; i < count; i++) {
+    const { privateKeyHex, publicKeyHex } = generateX25519KeyPair();
+    const id = crypto.randomBytes(8).toString('hex');
+    prekeys[id] = {
+      publicKey: publicKeyHex,
+      privateKey: privateKeyHex,
+      createdAt,
+    };
+    created.push({ id, key: publicKeyHex });
+  }
+  savePrekeys(dataDir, accountId, prekeys);
+  return created;
+}
+
+/**
+ * Get the private key of a prekey, used or not, until it's deleted
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} id - Prekey ID
+ * @returns {{key: string, curve: string}|null} ECIES private key, or null if the prekey was deleted or is unknown
+ */
+function getPrekeyPrivateKey(dataDir, accountId, id) {
+  const prekey = loadPrekeys(dataDir, accountId)[id];
+  return prekey ? { key: prekey.privateKey, curve: 'x25519' } : null;
+}
+
+/**
+ * Mark a prekey as used. It is kept until the next batch is published (see deleteUsedPrekeys):
+ * another sender may have picked it at the same time, and that message must still decrypt.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {string} id - Prekey ID
+ * @returns {boolean} Whether the prekey was unused
+ */
+function markPrekeyUsed(dataDir, accountId, id) {
+  const prekeys = loadPrekeys(dataDir, accountId);
+  if (!prekeys[id] || prekeys[id].usedAt) return false;
+  prekeys[id].usedAt = new Date().toISOString();
+  savePrekeys(dataDir, accountId, prekeys);
+  return true;
+}
+
+/**
+ * Delete the used prekeys, once a new batch is published: senders have moved on to it, so
+ * messages encrypted with them cannot be decrypted anymore, even if the message box keys
+ * leak later (forward secrecy).
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {number} Number of deleted prekeys
+ */
+function deleteUsedPrekeys(dataDir, accountId) {
+  const prekeys = loadPrekeys(dataDir, accountId);
+  const used = Object.keys(prekeys).filter(id => prekeys[id].usedAt);
+  if (used.length === 0) return 0;
+  used.forEach(id => delete prekeys[id]);
+  savePrekeys(dataDir, accountId, prekeys);
+  return used.length;
+}
+
+/**
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {boolean} Whether the account has published prekeys from this data directory, even if all are used
+ */
+function hasPrekeyStore(dataDir, accountId) {
+  return fs.existsSync(getPrekeysFilePath(dataDir, accountId));
+}
+
+/**
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {number} Number of unused prekeys in the local store
+ */
+function countPrekeys(dataDir, accountId) {
+  return Object.values(loadPrekeys(dataDir, accountId)).filter(
+    prekey => !prekey.usedAt
+  ).length;
+}
+
+// == Private functions =======================================================
+
+function getPrekeysFilePath(dataDir, accountId) {
+  return path.join(dataDir || './data', `prekeys_${accountId}.json`);
+}
+
+/**
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @returns {Object<string, StoredPrekey>} Prekeys not deleted yet, by ID
+ * @throws {Error} If the prekeys file is invalid
+ */
+function loadPrekeys(dataDir, accountId) {
+  const prekeysFile = getPrekeysFilePath(dataDir, accountId);
+  if (!fs.existsSync(prekeysFile)) return {};
+  try {
+    const stored = JSON.parse(fs.readFileSync(prekeysFile, 'utf8'));
+    if (stored.version !== PREKEYS_VERSION) {
+      throw new Error(`unsupported version ${stored.version}`);
+    }
+    return stored.prekeys || {};
+  } catch (error) {
+    throw new Error(`Invalid prekeys file ${prekeysFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Save the prekeys, replacing the current ones. The file contains private keys, so it's
+ * readable by the owner only, and replaced atomically so a deleted prekey is never restored.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Object<string, StoredPrekey>} prekeys
+ */
+function savePrekeys(dataDir, accountId, prekeys) {
+  const prekeysFile = getPrekeysFilePath(dataDir, accountId);
+  const dir = path.dirname(prekeysFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpFile = `${prekeysFile}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({
+      version: PREKEYS_VERSION,
+      accountId,
+      prekeys,
+      updatedAt: new Date().toISOString(),
+    }),
+    { encoding: 'utf8', mode: 0o600 }
+  );
+  fs.renameSync(tmpFile, prekeysFile);
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  createPrekeys,
+  getPrekeyPrivateKey,
+  markPrekeyUsed,
+  deleteUsedPrekeys,
+  hasPrekeyStore,
+  countPrekeys,
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  deriveStorageKey,
+  encryptStorageData,
+  decryptStorageData,
+} = require('./crypto');
+
+// Version of the search index file format
+const SEARCH_INDEX_VERSION = 1;
+
+// Characters of plaintext around the first match shown in search results
+const SNIPPET_LENGTH = 80;
+
+// == Public functions ========================================================
+
+/**
+ * Search result, tied to the message sequence numbers
+ * @typedef {Object} SearchResult
+ * @property {string} id - Message ID (e.g. '0.0.5678@42')
+ * @property {{start: number, end: number}} sequence - Sequence number range
+ * @property {string} timestamp - Consensus timestamp in ISO format
+ * @property {string|null} sender - Sender account ID claimed in the message, if any
+ * @property {string|null} senderStatus - 'verified', 'unverified' or 'forged' (encrypted messages only)
+ * @property {string} plaintext - Decrypted message
+ * @property {string} snippet - Part of the plaintext around the first match
+ */
+
+/**
+ * Derive the key encrypting the search index from the message box private key, so the
+ * index is readable only by the owner and needs no other secret. After a key rotation
+ * the index cannot be decrypted anymore and is rebuilt.
+ * @param {string|Object} privateKey - Current private key of the message box (RSA PEM or ECIES key)
+ * @param {string} accountId
+ * @returns {Buffer} AES-256 key
+ */
+function deriveSearchIndexKey(privateKey, accountId) {
+  return deriveStorageKey(
+    privateKey,
+    accountId,
+    'hiero-message-box search index'
+  );
+}
+
+/**
+ * Load the encrypted search index of the account. A new, empty index is returned when
+ * there is none, or when it cannot be decrypted with the key (e.g. after a key rotation).
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer} key - Index key (see deriveSearchIndexKey)
+ * @returns {SearchIndex}
+ */
+function loadSearchIndex(dataDir, accountId, key) {
+  const indexFile = getSearchIndexFilePath(dataDir, accountId);
+  const empty = {
+    messageBoxId: null,
+    lastSequenceNumber: 0,
+    messages: {},
+    postings: {},
+  };
+  if (!fs.existsSync(indexFile)) return empty;
+
+  try {
+    const { version, ...encrypted } = JSON.parse(
+      fs.readFileSync(indexFile, 'utf8')
+    );
+    if (version !== SEARCH_INDEX_VERSION) {
+      throw new Error(`unsupported version ${version}`);
+    }
+    const plaintext = decryptStorageData(encrypted, key, accountId);
+    return { ...empty, ...JSON.parse(plaintext) };
+  } catch (error) {
+    console.warn(
+      `⚠ Cannot read the search index (${error.message}), rebuilding it`
+    );
+    return empty;
+  }
+}
+
+/**
+ * Encrypt and save the search index, replacing the current one
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Buffer} key - Index key (see deriveSearchIndexKey)
+ * @param {SearchIndex} index
+ */
+function saveSearchIndex(dataDir, accountId, key, index) {
+  const encrypted = encryptStorageData(JSON.stringify(index), key, accountId);
+
+  const indexFile = getSearchIndexFilePath(dataDir, accountId);
+  const dir = path.dirname(indexFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpFile = `${indexFile}.tmp`;
+  fs.writeFileSync(
+    tmpFile,
+    JSON.stringify({
+      version: SEARCH_INDEX_VERSION,
+      ...encrypted,
+    }),
+    { encoding: 'utf8', mode: 0o600 }
+  );
+  fs.renameSync(tmpFile, indexFile);
+}
+
+/**
+ * Add message records to the search index. Messages that cannot be decrypted,
+ * public key messages and receipts are not indexed. Forward secret messages are not
+ * indexed either, unless asked for: the index key is derived from the long-term key, so
+ * indexing them would expose them to whoever gets that key.
+ * @param {SearchIndex} index
+ * @param {import('./message-box').MessageRecord[]} records
+ * @param {Object} options - Optional parameters
+ * @param {boolean} [options.storeForwardSecret] - Index forward secret messages too (defaults to false unless STORE_FORWARD_SECRET=true)
+ * @returns {number} Number of indexed messages
+ */
+function indexMessages(index, records, options = {}) {
+  const { storeForwardSecret = process.env.STORE_FORWARD_SECRET === 'true' } =
+    options;
+  let count = 0;
+  for (const record of records) {
+    index.lastSequenceNumber = Math.max(
+      index.lastSequenceNumber,
+      record.sequence.end
+    );
+    if (
+      record.type === 'HIP-1334_PUBLIC_KEY' ||
+      record.error ||
+      record.receipt ||
+      !record.plaintext ||
+      (record.forwardSecret && !storeForwardSecret) ||
+      index.messages[record.id]
+    ) {
+      continue;
+    }
+
+    index.messages[record.id] = {
+      sequence: record.sequence,
+      timestamp: record.timestamp,
+      sender: record.sender ? record.sender.accountId : null,
+      senderStatus: record.sender ? record.sender.status : null,
+      plaintext: record.plaintext,
+    };
+    for (const token of new Set(tokenize(record.plaintext))) {
+      (index.postings[token] = index.postings[token] || []).push(record.id);
+    }
+    count++;
+  }
+  return count;
+}
+
+/**
+ * Search the index. Every word of the query must start a word of the message
+ * (e.g. 'meet' matches 'meeting'), case and accents are ignored.
+ * @param {SearchIndex} index
+ * @param {string} query - Words to search for (all messages match an empty query)
+ * @param {Object} filters - Optional filters
+ * @param {string} [filters.from] - Verified sender account ID
+ * @param {Date} [filters.since] - Oldest consensus time (inclusive)
+ * @param {Date} [filters.until] - Newest consensus time (inclusive)
+ * @param {number} [filters.limit] - Maximum number of results (the newest are kept)
+ * @returns {SearchResult[]} Matching messages, oldest first
+ */
+function querySearchIndex(index, query, filters = {}) {
+  const { from, since, until, limit } = filters;
+  const terms = [...new Set(tokenize(query))];
+
+  let ids = null;
+  for (const term of terms) {
+    const matching = new Set();
+    for (const [token, tokenIds] of Object.entries(index.postings)) {
+      if (token.startsWith(term)) tokenIds.forEach(id => matching.add(id));
+    }
+    ids = ids ? new Set([...ids].filter(id => matching.has(id))) : matching;
+  }
+
+  let results = [...(ids || Object.keys(index.messages))]
+    .map(id => ({ id, ...index.messages[id] }))
+    .filter(
+      message =>
+        (!from ||
+          (message.sender === from && message.senderStatus === 'verified')) &&
+        (!since || new Date(message.timestamp) >= since) &&
+        (!until || new Date(message.timestamp) <= until)
+    )
+    .sort((a, b) => a.sequence.start - b.sequence.start);
+  if (limit && results.length > limit) results = results.slice(-limit);
+
+  return results.map(message => ({
+    ...message,
+    snippet: getSnippet(message.plaintext, terms),
+  }));
+}
+
+// == Private functions =======================================================
+
+/**
+ * Encrypted search index of received messages
+ * @typedef {Object} SearchIndex
+ * @property {string|null} messageBoxId - Indexed message box
+ * @property {number} lastSequenceNumber - Last indexed sequence number
+ * @property {Object<string, Object>} messages - Indexed messages, by message ID
+ * @property {Object<string, string[]>} postings - Message IDs by word
+ */
+
+/**
+ * Split a text into lowercase words without accents
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return (
+    String(text || '')
+      .toLowerCase()
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .match(/[\p{L}\p{N}]+/gu) || []
+  );
+}
+
+/**
+ * Get the part of the plaintext around the first matching word
+ * @param {string} plaintext
+ * @param {string[]} terms - Query words
+ * @returns {string}
+ */
+function getSnippet(plaintext, terms) {
+  const text = plaintext.replace(/\s+/g, ' ').trim();
+  if (text.length <= SNIPPET_LENGTH) return text;
+
+  const normalized = text.toLowerCase();
+  const positions = terms
+    .map(term => normalized.indexOf(term))
+    .filter(position => position !== -1);
+  const first = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - SNIPPET_LENGTH / 4);
+  const end = start + SNIPPET_LENGTH;
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
+
+function getSearchIndexFilePath(dataDir, accountId) {
+  return path.join(dataDir || './data', `search_index_${accountId}.json`);
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  deriveSearchIndexKey,
+  loadSearchIndex,
+  saveSearchIndex,
+  indexMessages,
+  querySearchIndex,
+};
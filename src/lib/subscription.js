@@ -0,0 +1,395 @@
+const { EventEmitter } = require('events');
+const { createMessagePoller } = require('./message-box');
+const { subscribeToTopic } = require('./hedera');
+
+// == Public classes ==========================================================
+
+/**
+ * Subscription to the messages of an account's message box.
+ *
+ * Events:
+ * - 'message' (record): a new message record was received
+ * - 'error' (error): polling failed, the subscription keeps polling
+ * - 'keyMismatch' ({accountId, messageBoxId}): the local keys cannot decrypt messages for the message box
+ * - 'modeChange' (mode): the receive mode switched between 'stream' and 'poll'
+ * - 'end': the subscription stopped
+ *
+ * In 'stream' mode, messages are pushed by the mirror node topic stream (TopicMessageQuery)
+ * instead of polling the REST API. When the stream drops, or a gap in the sequence numbers
+ * is detected, the subscription falls back to REST polling from the last seen sequence number
+ * and tries to stream again after `streamRetryInterval`.
+ *
+ * The subscription is also an async iterable. While it's being iterated, received
+ * records are queued and polling pauses when the queue reaches `highWaterMark`,
+ * until the consumer catches up. Event-only consumers can use pause() and resume().
+ *
+ * If the message box cannot be resolved when the subscription starts, it stops: the
+ * error is thrown by the iterator, or emitted as 'error' when nobody is iterating.
+ *
+ * NOTE: the polling cursor is saved once messages are stored in the inbox and handed to
+ * `deliver`, so messages still queued for the iterator or the 'message' listeners when the
+ * process exits are not received again on restart. Use `deliver` for processing that must
+ * not miss messages.
+ */
+class MessageBoxSubscription extends EventEmitter {
+  /**
+   * @param {string} dataDir
+   * @param {string} accountId
+   * @param {Object} options - Optional parameters
+   * @param {number} [options.interval=3000] - Polling interval in milliseconds
+   * @param {number} [options.highWaterMark=100] - Maximum number of records queued for the iterator
+   * @param {string} [options.startFrom='saved'] - Where to start: 'saved', 'start' or 'latest'
+   * @param {string} [options.cursorName] - Name of the saved polling cursor (see createMessagePoller)
+   * @param {string} [options.mode='poll'] - Receive mode: 'poll' (REST polling) or 'stream' (topic streaming)
+   * @param {number} [options.streamRetryInterval=30000] - Delay before streaming again after the stream drops (ms)
+   * @param {import("@hashgraph/sdk").Client} [options.client] - Client used for streaming (a mirror-only client is created if not set)
+   *   and to send delivery receipts and new one-time prekeys (not sent if not set)
+   * @param {string} [options.attachmentsDir] - Folder where attachments are saved (defaults to ATTACHMENTS_DIR or <dataDir>/attachments)
+   * @param {boolean} [options.storeInbox] - Store received messages in the local inbox (defaults to true unless INBOX_STORE=false)
+   * @param {(records: Array) => Promise<void>} [options.deliver] - Called with the new records before the polling cursor is
+   *   saved (e.g. to deliver them to webhooks), polling pauses until it completes
+   */
+  constructor(dataDir, accountId, options = {}) {
+    super();
+    const {
+      interval = 3000,
+      highWaterMark = 100,
+      startFrom,
+      cursorName,
+      mode = 'poll',
+      streamRetryInterval = 30000,
+      client,
+      attachmentsDir,
+      storeInbox,
+      deliver,
+    } = options;
+    if (!['poll', 'stream'].includes(mode)) {
+      throw new Error(`Invalid mode "${mode}". Use 'poll' or 'stream'`);
+    }
+    this.accountId = accountId;
+    this.interval = interval;
+    this.highWaterMark = highWaterMark;
+    this.streamRetryInterval = streamRetryInterval;
+    this._mode = mode;
+    this._client = client;
+    this._poller = createMessagePoller(dataDir, accountId, {
+      startFrom,
+      cursorName,
+      attachmentsDir,
+      client,
+      storeInbox,
+      deliver,
+    });
+    this._stream = null;
+    this._streamBuffer = [];
+    this._streamSequence = 0;
+    this._nextStreamAttempt = 0;
+    this._queue = [];
+    this._running = false;
+    this._paused = false;
+    this._iterating = false;
+    this._keyMismatchReported = false;
+    this._fatalError = null;
+    this._loop = null;
+    this._wakeLoop = null;
+    this._wakeIterator = null;
+  }
+
+  /**
+   * @returns {boolean} Whether the subscription is polling
+   */
+  get running() {
+    return this._running;
+  }
+
+  /**
+   * @returns {string} The current receive mode: 'stream' or 'poll'
+   */
+  get mode() {
+    return this._stream ? 'stream' : 'poll';
+  }
+
+  /**
+   * @returns {string|null} The message box ID, once resolved
+   */
+  get messageBoxId() {
+    return this._poller.messageBoxId;
+  }
+
+  /**
+   * Start polling. Calling start() on a running subscription has no effect.
+   * @returns {MessageBoxSubscription}
+   */
+  start() {
+    if (this._running) return this;
+    this._running = true;
+    this._fatalError = null;
+    this._loop = this._run();
+    return this;
+  }
+
+  /**
+   * Stop polling and wait for the current poll to complete.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._running) return this._loop;
+    this._running = false;
+    this._signalLoop();
+    this._signalIterator();
+    await this._loop;
+  }
+
+  /**
+   * Stop polling until resume() is called, without stopping the subscription.
+   * @returns {MessageBoxSubscription}
+   */
+  pause() {
+    this._paused = true;
+    return this;
+  }
+
+  /**
+   * Resume polling after pause().
+   * @returns {MessageBoxSubscription}
+   */
+  resume() {
+    this._paused = false;
+    this._signalLoop();
+    return this;
+  }
+
+  /**
+   * Iterate the received message records. The subscription is started if needed,
+   * and stopped when the iteration ends (e.g. with break).
+   * @returns {AsyncGenerator<import('./message-box').MessageRecord>}
+   */
+  async *[Symbol.asyncIterator]() {
+    if (this._iterating) {
+      throw new Error('Subscription is already being iterated');
+    }
+    this._iterating = true;
+    this.start();
+    try {
+      while (this._running || this._queue.length > 0) {
+        if (this._queue.length === 0) {
+          await new Promise(resolve => (this._wakeIterator = resolve));
+          continue;
+        }
+        const record = this._queue.shift();
+        this._signalLoop();
+        yield record;
+      }
+      if (this._fatalError) throw this._fatalError;
+    } finally {
+      this._iterating = false;
+      this._queue = [];
+      await this.stop();
+    }
+  }
+
+  // == Private methods =======================================================
+
+  /**
+   * Polling loop
+   */
+  async _run() {
+    let polls = 0;
+    while (this._running) {
+      if (this._paused || this._queue.length >= this.highWaterMark) {
+        await this._wait();
+        continue;
+      }
+      if (this._stream && this._streamBuffer.length === 0) {
+        // Streaming and idle: wait for the stream to push messages
+        await this._wait();
+        continue;
+      }
+
+      try {
+        const streaming = Boolean(this._stream);
+        const records = streaming
+          ? await this._poller.ingest(this._streamBuffer.splice(0))
+          : await this._poller.poll();
+        if (!streaming) polls++;
+        this._checkKeys();
+        for (const record of records) {
+          if (this._iterating) this._queue.push(record);
+          this.emit('message', record);
+        }
+        if (records.length > 0) this._signalIterator();
+        // Stream only once REST polling caught up (the first poll only sets the cursor)
+        // and no chunked message is partially received
+        const caughtUp =
+          !streaming &&
+          polls > 1 &&
+          records.length === 0 &&
+          this._poller.pendingChunkedMessages === 0;
+        if (caughtUp && this._shouldStartStream()) this._startStream();
+      } catch (error) {
+        if (!this._poller.initialized) {
+          this._fail(error);
+          break;
+        }
+        this._emitError(error);
+      }
+
+      if (this._running && !this._stream) await this._wait(this.interval);
+    }
+    this._stopStream();
+    this.emit('end');
+  }
+
+  /**
+   * @returns {boolean} Whether the topic stream should be (re)started
+   */
+  _shouldStartStream() {
+    return (
+      this._running &&
+      this._mode === 'stream' &&
+      !this._stream &&
+      Date.now() >= this._nextStreamAttempt
+    );
+  }
+
+  /**
+   * Start streaming from the last seen message. Messages already processed are
+   * skipped, so the stream can safely start a little earlier than needed.
+   */
+  _startStream() {
+    this._streamSequence = this._poller.lastSequenceNumber;
+    this._streamBuffer = [];
+    const startTime =
+      this._poller.lastConsensusTimestamp ||
+      String(Math.floor(Date.now() / 1000) - 60);
+
+    this._stream = subscribeToTopic(this._poller.messageBoxId, {
+      client: this._client,
+      startTime,
+      onMessage: message => this._onStreamMessage(message),
+      onError: error => this._fallBackToPolling(error),
+    });
+    console.debug(
+      `✓ Streaming messages from ${this._poller.messageBoxId} (after sequence ${this._streamSequence})`
+    );
+    this.emit('modeChange', 'stream');
+  }
+
+  /**
+   * Buffer a message pushed by the topic stream
+   * @param {Object} message - Reassembled message in Mirror Node format
+   */
+  _onStreamMessage(message) {
+    const lastSeq = message._maxSequence || message.sequence_number;
+    if (lastSeq <= this._streamSequence) return;
+    if (message.sequence_number > this._streamSequence + 1) {
+      this._fallBackToPolling(
+        new Error(
+          `Gap in topic stream: expected sequence ${this._streamSequence + 1}, got ${message.sequence_number}`
+        )
+      );
+      return;
+    }
+    if (this._streamBuffer.length >= this.highWaterMark) {
+      // The stream cannot be paused, let REST polling catch up at the consumer's pace
+      this._fallBackToPolling(new Error('Topic stream buffer is full'));
+      return;
+    }
+    this._streamBuffer.push(message);
+    this._streamSequence = lastSeq;
+    this._signalLoop();
+  }
+
+  /**
+   * Drop the topic stream and resume REST polling from the last processed message
+   * @param {Error} error - Why the stream was dropped
+   */
+  _fallBackToPolling(error) {
+    if (!this._stream) return;
+    this._stopStream();
+    this._nextStreamAttempt = Date.now() + this.streamRetryInterval;
+    console.debug(`⚠ Falling back to polling: ${error.message}`);
+    this.emit('modeChange', 'poll');
+    this._emitError(error);
+    this._signalLoop();
+  }
+
+  _stopStream() {
+    if (!this._stream) return;
+    this._stream.unsubscribe();
+    this._stream = null;
+    this._streamBuffer = [];
+  }
+
+  /**
+   * Emit 'keyMismatch' once if the local keys cannot decrypt messages for the message box
+   */
+  _checkKeys() {
+    if (this._poller.keysMatch === false && !this._keyMismatchReported) {
+      this._keyMismatchReported = true;
+      this.emit('keyMismatch', {
+        accountId: this.accountId,
+        messageBoxId: this._poller.messageBoxId,
+      });
+    }
+  }
+
+  /**
+   * Stop the subscription because of an unrecoverable error
+   * @param {Error} error
+   */
+  _fail(error) {
+    this._running = false;
+    if (this._iterating) {
+      this._fatalError = error;
+      this._signalIterator();
+    } else {
+      this._emitError(error);
+    }
+  }
+
+  /**
+   * Emit an 'error' event, or log the error if nobody is listening
+   * @param {Error} error
+   */
+  _emitError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Error polling:', error.message);
+    }
+  }
+
+  /**
+   * Wait until the timeout expires or the loop is signalled
+   * @param {number} [ms] - Timeout in milliseconds, waits for a signal only if not set
+   * @returns {Promise<void>}
+   */
+  _wait(ms) {
+    return new Promise(resolve => {
+      const timer = ms === undefined ? null : setTimeout(() => wake(), ms);
+      const wake = () => {
+        clearTimeout(timer);
+        this._wakeLoop = null;
+        resolve();
+      };
+      this._wakeLoop = wake;
+    });
+  }
+
+  _signalLoop() {
+    if (this._wakeLoop) this._wakeLoop();
+  }
+
+  _signalIterator() {
+    const wake = this._wakeIterator;
+    this._wakeIterator = null;
+    if (wake) wake();
+  }
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  MessageBoxSubscription,
+};
@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { getNonNegativeIntegerEnv } = require('./env');
+
+// Headers of webhook requests
+const SIGNATURE_HEADER = 'X-HIP-1334-Signature';
+const TIMESTAMP_HEADER = 'X-HIP-1334-Timestamp';
+const DELIVERY_HEADER = 'X-HIP-1334-Delivery';
+
+// == Public functions ========================================================
+
+/**
+ * Create a dispatcher that POSTs received messages to webhooks.
+ *
+ * Each message is sent as JSON to every URL, signed with HMAC-SHA256 (see
+ * verifyWebhookSignature). Network errors, timeouts, rate limits (HTTP 429) and server
+ * errors (5xx) are retried with exponential backoff. Deliveries that still fail are
+ * saved to a dead-letter queue in the data directory, and retried later, so messages
+ * are not lost while a webhook is down. Forward secret messages (decrypted with a one-time
+ * prekey) are not saved, unless asked for: their dead letters are kept in memory until
+ * delivered, and lost if the process stops (see saveToInbox). Deliver from the `deliver`
+ * option of the poller (see createMessagePoller), so its cursor moves past the messages only
+ * once delivered.
+ * @param {string} dataDir
+ * @param {string} accountId
+ * @param {Object} options - Optional parameters
+ * @param {string[]} [options.urls] - Webhook URLs (defaults to the comma-separated WEBHOOK_URLS)
+ * @param {string} [options.secret] - HMAC secret (defaults to WEBHOOK_SECRET)
+ * @param {number} [options.maxRetries] - Retries before dead-lettering (defaults to WEBHOOK_MAX_RETRIES or 5, 0 for no retries)
+ * @param {number} [options.retryDelay=1000] - First retry delay in ms, doubled on each retry (capped at 30s)
+ * @param {number} [options.timeout] - Request timeout in ms (defaults to WEBHOOK_TIMEOUT_MS or 10000, 0 for no timeout)
+ * @param {number} [options.deadLetterRetryInterval=60000] - Minimum time between two retries of the dead-letter queue (ms)
+ * @param {boolean} [options.storeForwardSecret] - Save the dead letters of forward secret messages too (defaults to false unless STORE_FORWARD_SECRET=true)
+ * @returns {WebhookDispatcher}
+ * @throws {Error} If no URL or no secret is configured, or a URL or setting is invalid
+ */
+function createWebhookDispatcher(dataDir, accountId, options = {}) {
+  const {
+    urls = (process.env.WEBHOOK_URLS || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean),
+    secret = process.env.WEBHOOK_SECRET,
+    maxRetries = getNonNegativeIntegerEnv('WEBHOOK_MAX_RETRIES', 5),
+    retryDelay = 1000,
+    timeout = getNonNegativeIntegerEnv('WEBHOOK_TIMEOUT_MS', 10000),
+    deadLetterRetryInterval = 60000,
+    storeForwardSecret = process.env.STORE_FORWARD_SECRET === 'true',
+  } = options;
+  if (urls.length === 0) throw new Error('No webhook URL configured');
+  if (!secret) {
+    throw new Error('WEBHOOK_SECRET is required to sign webhook requests');
+  }
+  for (const url of urls) {
+    if (!/^https?:\/\//.test(url)) {
+      throw new Error(`Invalid webhook URL "${url}". Use http(s)://...`);
+    }
+  }
+
+  const deadLetterFile = getDeadLetterFilePath(dataDir, accountId);
+  const post = (url, body, deliveryId) =>
+    postWebhook(url, body, { secret, deliveryId, timeout });
+  // Dead letters of forward secret messages, by delivery ID
+  const unsavedDeadLetters = new Map();
+  let nextDeadLetterRetry = 0;
+  let retrying = null;
+
+  const dispatcher = {
+    get deadLetters() {
+      return [
+        ...loadDeadLetters(deadLetterFile),
+        ...unsavedDeadLetters.values(),
+      ];
+    },
+
+    /**
+     * Deliver a message record to every webhook. Due dead letters are retried first.
+     * @param {import('./message-box').MessageRecord} record
+     * @returns {Promise<{delivered: number, deadLettered: number}>}
+     */
+    async deliver(record) {
+      if (Date.now() >= nextDeadLetterRetry)
+        await dispatcher.retryDeadLetters();
+      if (
+        record.type === 'HIP-1334_PUBLIC_KEY' ||
+        record.type === 'HIP-1334_PREKEYS'
+      ) {
+        return { delivered: 0, deadLettered: 0 };
+      }
+
+      const body = JSON.stringify(toWebhookPayload(accountId, record));
+      let delivered = 0;
+      let deadLettered = 0;
+      for (const url of urls) {
+        const deliveryId = crypto.randomUUID();
+        try {
+          await withRetries(
+            () => post(url, body, deliveryId),
+            maxRetries,
+            retryDelay
+          );
+          delivered++;
+        } catch (error) {
+          const entry = {
+            id: deliveryId,
+            url,
+            messageId: record.id,
+            body,
+            attempts: error.attempts,
+            lastError: error.message,
+            failedAt: new Date().toISOString(),
+          };
+          if (record.forwardSecret && !storeForwardSecret) {
+            console.warn(
+              `⚠ Webhook delivery of ${record.id} to ${url} failed: ${error.message}. Forward secret message kept in memory for a retry, not saved`
+            );
+            unsavedDeadLetters.set(deliveryId, entry);
+          } else {
+            console.warn(
+              `⚠ Webhook delivery of ${record.id} to ${url} failed: ${error.message}. Saved to the dead-letter queue`
+            );
+            addDeadLetter(deadLetterFile, entry);
+          }
+          deadLettered++;
+        }
+      }
+      return { delivered, deadLettered };
+    },
+
+    /**
+     * Retry the deliveries of the dead-letter queue once each. Delivered entries are removed.
+     * @returns {Promise<{delivered: number, remaining: number}>}
+     */
+    async retryDeadLetters() {
+      if (retrying) return retrying;
+      nextDeadLetterRetry = Date.now() + deadLetterRetryInterval;
+      retrying = retryAll().finally(() => (retrying = null));
+      return retrying;
+    },
+  };
+
+  async function retryAll() {
+    let delivered = 0;
+    for (const entry of dispatcher.deadLetters) {
+      const saved = !unsavedDeadLetters.has(entry.id);
+      try {
+        await post(entry.url, entry.body, entry.id);
+        if (saved) removeDeadLetter(deadLetterFile, entry.id);
+        else unsavedDeadLetters.delete(entry.id);
+        delivered++;
+        console.log(
+          `✓ Dead letter ${entry.messageId} delivered to ${entry.url}`
+        );
+      } catch (error) {
+        const changes = {
+          attempts: entry.attempts + 1,
+          lastError: error.message,
+          failedAt: new Date().toISOString(),
+        };
+        if (saved) updateDeadLetter(deadLetterFile, entry.id, changes);
+        else Object.assign(entry, changes);
+      }
+    }
+    return { delivered, remaining: dispatcher.deadLetters.length };
+  }
+
+  return dispatcher;
+}
+
+/**
+ * Verify the signature of a webhook request, e.g. in the receiving backend
+ * @param {string|Buffer} body - Raw request body
+ * @param {Object<string, string>} headers - Request headers (lowercase names, as in Node.js)
+ * @param {string} secret - HMAC secret
+ * @param {Object} options - Optional parameters
+ * @param {number} [options.tolerance=300] - Maximum age of the request in seconds, against replays
+ * @returns {boolean} Whether the signature is valid and recent
+ */
+function verifyWebhookSignature(body, headers, secret, options = {}) {
+  const { tolerance = 300 } = options;
+  const timestamp = headers[TIMESTAMP_HEADER.toLowerCase()];
+  const signature = headers[SIGNATURE_HEADER.toLowerCase()];
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) return false;
+
+  const expected = Buffer.from(signPayload(body, timestamp, secret));
+  const actual = Buffer.from(String(signature));
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+}
+
+// == Private functions =======================================================
+
+/**
+ * Webhook dispatcher returned by createWebhookDispatcher
+ * @typedef {Object} WebhookDispatcher
+ * @property {Array<Object>} deadLetters - Deliveries waiting in the dead-letter queue
+ * @property {(record: Object) => Promise<{delivered: number, deadLettered: number}>} deliver
+ * @property {() => Promise<{delivered: number, remaining: number}>} retryDeadLetters
+ */
+
+/**
+ * Build the JSON body of a webhook request
+ * @param {string} accountId - The message box owner
+ * @param {import('./message-box').MessageRecord} record
+ * @returns {Object}
+ */
+function toWebhookPayload(accountId, record) {
+  // The raw envelope is not needed once decrypted
+  const message = { ...record };
+  delete message.envelope;
+  return { event: 'message', accountId, message };
+}
+
+/**
+ * @param {string|Buffer} body - Request body
+ * @param {string} timestamp - Unix time in seconds
+ * @param {string} secret - HMAC secret
+ * @returns {string} Signature header value, e.g. 'sha256=...'
+ */
+function signPayload(body, timestamp, secret) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(body);
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * POST a signed JSON body to a webhook
+ * @param {string} url
+ * @param {string} body - JSON body
+ * @param {{secret: string, deliveryId: string, timeout: number}} options
+ * @returns {Promise<void>}
+ * @throws {Error} If the request fails or the webhook answers with an error status; `retryable` tells whether to retry
+ */
+function postWebhook(url, body, { secret, deliveryId, timeout }) {
+  const transport = url.startsWith('http:') ? http : https;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body),
+          [TIMESTAMP_HEADER]: timestamp,
+          [SIGNATURE_HEADER]: signPayload(body, timestamp, secret),
+          [DELIVERY_HEADER]: deliveryId,
+        },
+      },
+      res => {
+        res.resume();
+        res.on('end', () => {
+          const { statusCode } = res;
+          if (statusCode >= 200 && statusCode < 300) {
+            resolve();
+            return;
+          }
+          const error = new Error(`Webhook responded with HTTP ${statusCode}`);
+          error.retryable = statusCode === 429 || statusCode >= 500;
+          reject(error);
+        });
+      }
+    );
+    request.setTimeout(timeout, () =>
+      request.destroy(new Error(`timed out after ${timeout}ms`))
+    );
+    request.on('error', error => {
+      const wrapped = new Error(`Webhook request failed: ${error.message}`);
+      wrapped.retryable = true;
+      reject(wrapped);
+    });
+    request.end(body);
+  });
+}
+
+/**
+ * Run a request, retrying retryable errors with exponential backoff and jitter
+ * @param {() => Promise<void>} send
+ * @param {number} maxRetries
+ * @param {number} retryDelay - First retry delay in ms
+ * @returns {Promise<void>}
+ * @throws {Error} The last error, with the number of `attempts`
+ */
+async function withRetries(send, maxRetries, retryDelay) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (!error.retryable || attempt >= maxRetries) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+      const delay = Math.min(30000, retryDelay * 2 ** attempt);
+      const jittered = Math.round(delay / 2 + (Math.random() * delay) / 2);
+      console.debug(
+        `⚠ ${error.message}, retrying in ${jittered}ms (${attempt + 1}/${maxRetries})`
+      );
+      await new Promise(resolve => setTimeout(resolve, jittered));
+    }
+  }
+}
+
+function getDeadLetterFilePath(dataDir, accountId) {
+  return path.join(
+    dataDir || './data',
+    `webhook_dead_letters_${accountId}.json`
+  );
+}
+
+/**
+ * @param {string} deadLetterFile
+ * @returns {Array<Object>} Entries of the dead-letter queue
+ * @throws {Error} If the file is invalid
+ */
+function loadDeadLetters(deadLetterFile) {
+  if (!fs.existsSync(deadLetterFile)) return [];
+  try {
+    const { entries } = JSON.parse(fs.readFileSync(deadLetterFile, 'utf8'));
+    if (!Array.isArray(entries)) throw new Error('entries is not an array');
+    return entries;
+  } catch (error) {
+    throw new Error(
+      `Invalid dead-letter queue ${deadLetterFile}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Save the dead-letter queue. Entries contain decrypted messages, so the file is
+ * readable by the owner only, and replaced atomically to survive crashes mid-write.
+ * @param {string} deadLetterFile
+ * @param {Array<Object>} entries
+ */
+function saveDeadLetters(deadLetterFile, entries) {
+  const dir = path.dirname(deadLetterFile);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  const tmpFile = `${deadLetterFile}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify({ entries }, null, 2), {
+    encoding: 'utf8',
+    mode: 0o600,
+  });
+  fs.renameSync(tmpFile, deadLetterFile);
+}
+
+// The queue is reloaded on every change, so concurrent deliveries and retries don't overwrite each other
+
+function addDeadLetter(deadLetterFile, entry) {
+  saveDeadLetters(deadLetterFile, [...loadDeadLetters(deadLetterFile), entry]);
+}
+
+function removeDeadLetter(deadLetterFile, id) {
+  saveDeadLetters(
+    deadLetterFile,
+    loadDeadLetters(deadLetterFile).filter(entry => entry.id !== id)
+  );
+}
+
+function updateDeadLetter(deadLetterFile, id, changes) {
+  saveDeadLetters(
+    deadLetterFile,
+    loadDeadLetters(deadLetterFile).map(entry =>
+      entry.id === id ? { ...entry, ...changes } : entry
+    )
+  );
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  createWebhookDispatcher,
+  verifyWebhookSignature,
+};
@@ -1,5 +1,12 @@
+const { initializeClient } = require('./lib/hedera');
 const { loadEnvFile } = require('./lib/crypto');
-const { pollMessages } = require('./lib/message-box');
+const { formatMessage, getReceiptPolicy } = require('./lib/message-box');
+const { hasPrekeyStore } = require('./lib/prekeys');
+const { MessageBoxSubscription } = require('./lib/subscription');
+const { createWebhookDispatcher } = require('./lib/webhooks');
+
+let client = null;
+let deadLetterTimer = null;
 
 async function main() {
   try {
@@ -8,18 +15,91 @@ async function main() {
     if (!accountId) {
       throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
     }
+
+    const args = process.argv.slice(2);
+    const fromStart = args.includes('--from-start');
+    const fromLatest = args.includes('--from-latest');
+    if (fromStart && fromLatest) {
+      console.error(
+        '\n✗ Error: --from-start and --from-latest cannot be used together'
+      );
+      console.error(
+        '✓ Usage: node listen-for-new-messages.js [--from-start | --from-latest] [--stream]\n'
+      );
+      process.exit(1);
+    }
+    const startFrom = fromStart ? 'start' : fromLatest ? 'latest' : 'saved';
+    const mode = args.includes('--stream') ? 'stream' : 'poll';
+
+    // A client is only needed to send delivery receipts and new one-time prekeys
+    const policy = getReceiptPolicy(process.env.RSA_DATA_DIR, accountId);
+    const receipts =
+      policy.default || Object.values(policy.contacts).some(Boolean);
+    const prekeys =
+      hasPrekeyStore(process.env.RSA_DATA_DIR, accountId) &&
+      process.env.PREKEY_REFILL_THRESHOLD !== '0';
+    if (receipts || prekeys) client = initializeClient();
+    if (receipts) console.log('✓ Delivery receipts enabled');
+    if (prekeys) console.log('✓ One-time prekeys refilled when few are left');
+
+    let webhooks = null;
+    if (process.env.WEBHOOK_URLS) {
+      webhooks = createWebhookDispatcher(process.env.RSA_DATA_DIR, accountId);
+      const pending = webhooks.deadLetters.length;
+      console.log(
+        `✓ Webhook delivery enabled${pending > 0 ? ` (${pending} delivery(ies) in the dead-letter queue)` : ''}`
+      );
+      // Retry the dead-letter queue even when no message arrives
+      deadLetterTimer = setInterval(
+        () =>
+          webhooks
+            .retryDeadLetters()
+            .catch(error =>
+              console.error('Error retrying webhooks:', error.message)
+            ),
+        60000
+      );
+    }
+
     console.log(`⚙ Listening for messages for account ${accountId}`);
-    console.log('✓ Polling every 3 seconds. Press Ctrl+C to exit\n');
-    while (true) {
-      const messages = await pollMessages(process.env.RSA_DATA_DIR, accountId);
-      if (messages.length > 0) {
-        console.log(`${messages.length} new message(s) received`);
-        messages.forEach(message => console.log(`📥 ${message}`));
+    console.log(
+      mode === 'stream'
+        ? '✓ Streaming new messages (polling every 3 seconds as fallback). Press Ctrl+C to exit\n'
+        : '✓ Polling every 3 seconds. Press Ctrl+C to exit\n'
+    );
+    const subscription = new MessageBoxSubscription(
+      process.env.RSA_DATA_DIR,
+      accountId,
+      {
+        interval: 3000,
+        startFrom,
+        mode,
+        client,
+        // Delivered (or dead-lettered) before the cursor moves past the messages
+        deliver: webhooks
+          ? async records => {
+              for (const record of records) await webhooks.deliver(record);
+            }
+          : undefined,
       }
-      await new Promise(resolve => setTimeout(resolve, 3000));
+    );
+    subscription.on('error', error =>
+      console.error('Error polling:', error.message)
+    );
+    subscription.on('modeChange', newMode =>
+      console.log(
+        newMode === 'stream'
+          ? '✓ Topic stream connected'
+          : '⚠ Topic stream dropped, polling until it reconnects'
+      )
+    );
+    for await (const message of subscription) {
+      console.log(`📥 ${formatMessage(message)}`);
     }
   } catch (error) {
     console.error('\n✗ Error:', error.message);
+    clearInterval(deadLetterTimer);
+    if (client) client.close();
     process.exit(1);
   }
 }
@@ -27,6 +107,7 @@ async function main() {
 // Handle Ctrl+C gracefully
 process.on('SIGINT', () => {
   console.log('\n\n⚙ Shutting down...');
+  if (client) client.close();
   process.exit(0);
 });
 
@@ -0,0 +1,50 @@
+const { initializeClient } = require('./lib/hedera');
+const { loadEnvFile } = require('./lib/crypto');
+const { publishPrekeys } = require('./lib/message-box');
+
+let client = null;
+
+async function main() {
+  try {
+    loadEnvFile();
+    const accountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
+    }
+
+    const args = process.argv.slice(2);
+    const countIndex = args.indexOf('--count');
+    const count =
+      countIndex !== -1 ? parseInt(args[countIndex + 1]) : undefined;
+    if (countIndex !== -1 && isNaN(count)) {
+      console.error('\n✗ Usage: node publish-prekeys.js [--count <number>]');
+      console.error('✓ Examples:');
+      console.error(
+        '  node publish-prekeys.js             # PREKEY_BATCH_SIZE prekeys (20 by default)'
+      );
+      console.error('  node publish-prekeys.js --count 50  # 50 prekeys\n');
+      process.exit(1);
+    }
+
+    client = initializeClient();
+    console.log(`⚙ Publishing one-time prekeys for account ${accountId}`);
+    await publishPrekeys(client, process.env.RSA_DATA_DIR, accountId, {
+      count,
+    });
+    client.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    if (client) client.close();
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  if (client) client.close();
+  process.exit(0);
+});
+
+main();
@@ -0,0 +1,80 @@
+const { loadEnvFile } = require('./lib/crypto');
+const {
+  getReceiptPolicy,
+  setReceiptPolicy,
+  getSentMessageStatuses,
+} = require('./lib/message-box');
+
+const USAGE =
+  '✓ Usage: node receipts.js status | on [account-id] | off [account-id]';
+
+async function main() {
+  try {
+    loadEnvFile();
+    const accountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
+    }
+    const dataDir = process.env.RSA_DATA_DIR;
+
+    const [command = 'status', contact = 'default'] = process.argv.slice(2);
+    if (command === 'on' || command === 'off') {
+      setReceiptPolicy(dataDir, accountId, contact, command === 'on');
+      const target =
+        contact === 'default' ? 'by default' : `for messages from ${contact}`;
+      console.log(
+        `✓ Receipts ${command === 'on' ? 'enabled' : 'disabled'} ${target}`
+      );
+      process.exit(0);
+    }
+    if (command !== 'status') {
+      console.error(`\n✗ Error: Unknown command "${command}"`);
+      console.error(USAGE);
+      console.error('✓ Examples:');
+      console.error(
+        '  node receipts.js status          # Show the receipt policy and the status of sent messages'
+      );
+      console.error(
+        '  node receipts.js on              # Send receipts by default'
+      );
+      console.error(
+        '  node receipts.js off 0.0.1234    # Never send receipts to 0.0.1234\n'
+      );
+      process.exit(1);
+    }
+
+    const policy = getReceiptPolicy(dataDir, accountId);
+    console.log(
+      `✓ Receipts are ${policy.default ? 'sent' : 'not sent'} by default`
+    );
+    for (const [contactId, enabled] of Object.entries(policy.contacts)) {
+      console.log(`  - ${contactId}: ${enabled ? 'sent' : 'not sent'}`);
+    }
+
+    const statuses = await getSentMessageStatuses(dataDir, accountId);
+    if (statuses.size === 0) {
+      console.log('✓ No receipts received yet\n');
+    } else {
+      console.log(`✓ Status of ${statuses.size} sent message(s):\n`);
+      for (const [
+        messageId,
+        { status, accountId: by, timestamp },
+      ] of statuses) {
+        console.log(`📬 ${messageId} ${status} by ${by} (${timestamp})`);
+      }
+      console.log();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  process.exit(0);
+});
+
+main();
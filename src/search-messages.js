@@ -0,0 +1,82 @@
+const { loadEnvFile } = require('./lib/crypto');
+const { searchMessages } = require('./lib/message-box');
+
+async function main() {
+  try {
+    loadEnvFile();
+    const accountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
+    }
+
+    const args = process.argv.slice(2);
+    const options = {};
+    for (const name of ['from', 'since', 'until', 'limit']) {
+      const index = args.indexOf(`--${name}`);
+      if (index === -1) continue;
+      options[name] = args[index + 1];
+      args.splice(index, 2);
+    }
+    const offlineIndex = args.indexOf('--offline');
+    if (offlineIndex !== -1) {
+      options.sync = false;
+      args.splice(offlineIndex, 1);
+    }
+    if (options.limit !== undefined) options.limit = parseInt(options.limit);
+
+    const query = args.join(' ');
+    const hasFilter = options.from || options.since || options.until;
+    if (
+      (!query && !hasFilter) ||
+      Object.values(options).some(value => value === undefined) ||
+      Number.isNaN(options.limit)
+    ) {
+      console.error(
+        '\n✗ Usage: node search-messages.js [words...] [--from <account-id>] [--since <date>] [--until <date>] [--limit <n>] [--offline]'
+      );
+      console.error('✓ Examples:');
+      console.error('  node search-messages.js invoice');
+      console.error('  node search-messages.js meeting --from 0.0.1234');
+      console.error(
+        '  node search-messages.js --since 2026-01-01 --until 2026-01-31'
+      );
+      console.error('  node search-messages.js invoice --offline\n');
+      process.exit(1);
+    }
+
+    console.log(`⚙ Searching messages for account ${accountId}`);
+    const results = await searchMessages(
+      process.env.RSA_DATA_DIR,
+      accountId,
+      query,
+      options
+    );
+
+    if (results.length === 0) {
+      console.log('✓ No matching messages\n');
+    } else {
+      console.log(`✓ Found ${results.length} message(s):\n`);
+      for (const result of results) {
+        const sender = result.sender
+          ? ` from ${result.sender} (${result.senderStatus})`
+          : '';
+        console.log(
+          `🔎 [Seq: ${result.sequence.start}] [ID: ${result.id}] [${result.timestamp}]${sender}:\n${result.snippet}`
+        );
+      }
+      console.log();
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  process.exit(0);
+});
+
+main();
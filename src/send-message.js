@@ -1,6 +1,7 @@
 const { initializeClient } = require('./lib/hedera');
 const { loadEnvFile } = require('./lib/crypto');
 const { sendMessage } = require('./lib/message-box');
+const { readAttachment } = require('./lib/attachments');
 
 let client = null;
 
@@ -13,24 +14,67 @@ async function main() {
     const cborIndex = args.indexOf('--cbor');
     const useCBOR = cborIndex !== -1;
     if (useCBOR) args.splice(cborIndex, 1);
+    const fileIndex = args.indexOf('--file');
+    const filePath = fileIndex !== -1 ? args[fileIndex + 1] : undefined;
+    if (fileIndex !== -1) args.splice(fileIndex, 2);
+    const replyIndex = args.indexOf('--reply-to');
+    const inReplyTo = replyIndex !== -1 ? args[replyIndex + 1] : undefined;
+    if (replyIndex !== -1) args.splice(replyIndex, 2);
+    const compressIndex = args.indexOf('--compress');
+    const compression =
+      compressIndex !== -1 ? args[compressIndex + 1] : undefined;
+    if (compressIndex !== -1) args.splice(compressIndex, 2);
+    const noReceiptIndex = args.indexOf('--no-receipt');
+    const requestReceipt = noReceiptIndex === -1 ? undefined : false;
+    if (noReceiptIndex !== -1) args.splice(noReceiptIndex, 1);
 
-    if (args.length < 2) {
+    if (
+      args.length < (filePath ? 1 : 2) ||
+      (fileIndex !== -1 && !filePath) ||
+      (compressIndex !== -1 && !compression) ||
+      (replyIndex !== -1 && !inReplyTo)
+    ) {
       console.error(
-        '\n✗ Usage: node send-message.js <account-id> <message> [--cbor]'
+        '\n✗ Usage: node send-message.js <account-id>[,<account-id>...] <message> [--cbor] [--file <path>] [--compress deflate|brotli] [--reply-to <message-id>] [--no-receipt]'
       );
       console.error('✓ Examples:');
       console.error('  node send-message.js 0.0.1234 "Hello!"');
-      console.error('  node send-message.js 0.0.1234 "Hello!" --cbor\n');
+      console.error('  node send-message.js 0.0.1234 "Hello!" --cbor');
+      console.error('  node send-message.js 0.0.1234,0.0.5678 "Hello all!"');
+      console.error(
+        '  node send-message.js 0.0.1234 "See attached" --file ./report.pdf'
+      );
+      console.error(
+        '  node send-message.js 0.0.1234 "A long message..." --compress brotli'
+      );
+      console.error(
+        '  node send-message.js 0.0.1234 "Sounds good" --reply-to 0.0.5678@42'
+      );
+      console.error(
+        '  node send-message.js 0.0.1234 "No need to confirm" --no-receipt\n'
+      );
       process.exit(1);
     }
 
-    const recipientAccountId = args[0];
+    const recipientAccountIds = args[0].split(',').filter(Boolean);
     const message = args.slice(1).join(' ');
     const format = useCBOR ? 'CBOR' : 'JSON';
+    const attachment = filePath ? readAttachment(filePath) : undefined;
+    const file = attachment ? `\n  - File: ${filePath}` : '';
+    const compressionInfo = compression
+      ? `\n  - Compression: ${compression}`
+      : '';
+    const replyInfo = inReplyTo ? `\n  - In reply to: ${inReplyTo}` : '';
     console.log(
-      `⚙ Sending message:\n  - Recipient: ${recipientAccountId}\n  - Message before encryption: "${message}"\n  - Format: ${format}`
+      `⚙ Sending message:\n  - Recipient(s): ${recipientAccountIds.join(', ')}\n  - Message before encryption: "${message}"\n  - Format: ${format}${file}${compressionInfo}${replyInfo}`
     );
-    await sendMessage(client, recipientAccountId, message, { useCBOR });
+    await sendMessage(client, recipientAccountIds, message, {
+      useCBOR,
+      attachment,
+      compression,
+      inReplyTo,
+      requestReceipt,
+    });
     client.close();
     process.exit(0);
   } catch (error) {
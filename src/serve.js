@@ -0,0 +1,70 @@
+const { initializeClient } = require('./lib/hedera');
+const { loadEnvFile } = require('./lib/crypto');
+const { createApiServer } = require('./lib/api-server');
+
+let client = null;
+
+// Hosts reachable from this machine only
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+
+async function main() {
+  try {
+    loadEnvFile();
+    const accountId = process.env.MESSAGE_BOX_OWNER_ACCOUNT_ID;
+    if (!accountId) {
+      throw new Error('MESSAGE_BOX_OWNER_ACCOUNT_ID is required.');
+    }
+
+    const args = process.argv.slice(2);
+    const hostIndex = args.indexOf('--host');
+    const host =
+      hostIndex !== -1
+        ? args[hostIndex + 1]
+        : process.env.API_HOST || '127.0.0.1';
+    const portIndex = args.indexOf('--port');
+    const port = parseInt(
+      portIndex !== -1 ? args[portIndex + 1] : process.env.API_PORT || '8080'
+    );
+    if (!host || isNaN(port) || port < 0 || port > 65535) {
+      console.error('\n✗ Usage: node serve.js [--host <host>] [--port <port>]');
+      console.error('✓ Examples:');
+      console.error('  node serve.js              # http://127.0.0.1:8080');
+      console.error('  node serve.js --port 9000  # http://127.0.0.1:9000\n');
+      process.exit(1);
+    }
+    if (!process.env.API_TOKEN) {
+      throw new Error(
+        'API_TOKEN is required. Generate one with: openssl rand -hex 32'
+      );
+    }
+    if (!LOOPBACK_HOSTS.includes(host)) {
+      console.warn(
+        `⚠ WARNING: Listening on ${host}, the API is reachable from other machines. Use HTTPS in front of it.`
+      );
+    }
+
+    client = initializeClient();
+    const server = createApiServer(client, process.env.RSA_DATA_DIR, accountId);
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, resolve);
+    });
+    const { port: boundPort } = server.address();
+    const url = `http://${host.includes(':') ? `[${host}]` : host}:${boundPort}`;
+    console.log(`✓ API for account ${accountId} listening on ${url}`);
+    console.log('✓ Press Ctrl+C to exit\n');
+  } catch (error) {
+    console.error('\n✗ Error:', error.message);
+    if (client) client.close();
+    process.exit(1);
+  }
+}
+
+// Handle Ctrl+C gracefully
+process.on('SIGINT', () => {
+  console.log('\n\n⚙ Shutting down...');
+  if (client) client.close();
+  process.exit(0);
+});
+
+main();
@@ -119,15 +119,27 @@ async function testCheckMessages() {
     assert(messages.length >= 2, 'Should have at least 2 test messages');
 
     // Verify messages contain expected content
-    const hasTestMessage = messages.some(msg =>
-      msg.includes('Test message at')
+    const testMessage = messages.find(
+      msg => msg.plaintext && msg.plaintext.startsWith('Test message at')
     );
-    const hasCBORMessage = messages.some(msg =>
-      msg.includes('CBOR test message at')
+    const cborMessage = messages.find(
+      msg => msg.plaintext && msg.plaintext.startsWith('CBOR test message at')
     );
 
-    assert(hasTestMessage, 'Should find JSON test message');
-    assert(hasCBORMessage, 'Should find CBOR test message');
+    assert(testMessage, 'Should find JSON test message');
+    assert(cborMessage, 'Should find CBOR test message');
+    assert(testMessage.format === 'json', 'Should decode JSON wire format');
+    assert(cborMessage.format === 'cbor', 'Should decode CBOR wire format');
+
+    // The sender is the message box owner, so its identity must be verified
+    assert(
+      [testMessage, cborMessage].every(
+        msg =>
+          msg.sender.status === 'verified' &&
+          msg.sender.accountId === testAccountId
+      ),
+      'Sender identity should be verified'
+    );
 
     console.log(`   Found ${messages.length} message(s)`);
     testPassed(testName);
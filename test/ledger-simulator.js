@@ -0,0 +1,730 @@
+/**
+ * Offline in-process ledger simulator for hiero-message-box tests
+ *
+ * Fakes the parts of the Hedera network used by this project, so the full flow
+ * can run with no network access and no funded accounts:
+ * - Mirror Node REST API: `/accounts/{id}` and `/topics/{id}/messages`
+ *   (with chunk_info, ordering, sequence number filters and pagination)
+ * - Consensus node gRPC API: topic create, account memo and key update, topic message
+ *   submit and transaction receipts
+ * - Mirror Node gRPC API: topic streaming (TopicMessageQuery), with dropped messages
+ *   and stream failures
+ *
+ * Usage:
+ *   const simulator = new LedgerSimulator();
+ *   await simulator.start(); // Sets MIRROR_NODE_URL to the local Mirror Node
+ *   const { accountId, privateKey } = simulator.createAccount();
+ *   const client = simulator.createClient(accountId, privateKey);
+ *   // ... use client with setupMessageBox, sendMessage, etc.
+ *   client.close();
+ *   await simulator.stop();
+ *
+ * Clients created with createClient() talk to the simulator over gRPC, like to a local
+ * network: the SDK builds, signs, chunks and sends the transactions, and streams topics,
+ * exactly as it does on the ledger.
+ */
+
+const http = require('http');
+const grpc = require('@grpc/grpc-js');
+const { proto, com } = require('@hashgraph/proto');
+const { Client, PrivateKey, PublicKey, Status } = require('@hashgraph/sdk');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+// Stream failures until subscribeToTopic gives up: the first stream and the SDK's 3 reconnections
+const STREAM_ATTEMPTS = 4;
+
+const { ConsensusTopicQuery, ConsensusTopicResponse } =
+  com.hedera.mirror.api.proto;
+
+// == Public classes ==========================================================
+
+class LedgerSimulator {
+  constructor() {
+    this.accounts = new Map();
+    this.topics = new Map();
+    this.receipts = new Map();
+    this.nextEntityNum = 1001;
+    this.lastConsensusNanos = 0n;
+    this.failures = [];
+    this.submitFailures = new Map();
+    this.streams = new Set();
+    this.streamFailures = new Map();
+    this.droppedStreamMessages = new Map();
+    this.droppedTransactions = new Set();
+    this.server = null;
+    this.grpcServer = null;
+    this.mirrorNodeUrl = null;
+    this.nodeAddress = null;
+  }
+
+  /**
+   * Start the local Mirror Node and consensus node, and point MIRROR_NODE_URL to the Mirror Node
+   * @returns {Promise<string>} The Mirror Node URL
+   */
+  async start() {
+    this.server = http.createServer((req, res) =>
+      this._handleRequest(req, res)
+    );
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.mirrorNodeUrl = `http://127.0.0.1:${this.server.address().port}/api/v1`;
+    process.env.MIRROR_NODE_URL = this.mirrorNodeUrl;
+
+    // The consensus node and the Mirror Node gRPC services share a port
+    this.grpcServer = new grpc.Server();
+    this.grpcServer.addService(
+      defineService('proto.ConsensusService', ['createTopic', 'submitMessage']),
+      {
+        createTopic: this._unary(request => this._submitTransaction(request)),
+        submitMessage: this._unary(request => this._submitTransaction(request)),
+      }
+    );
+    this.grpcServer.addService(
+      defineService('proto.CryptoService', [
+        'updateAccount',
+        'getTransactionReceipts',
+      ]),
+      {
+        updateAccount: this._unary(request => this._submitTransaction(request)),
+        getTransactionReceipts: this._unary(request =>
+          this._getReceipt(request)
+        ),
+      }
+    );
+    this.grpcServer.addService(
+      defineService('com.hedera.mirror.api.proto.ConsensusService', [
+        'subscribeTopic',
+      ]),
+      { subscribeTopic: call => this._subscribeTopic(call) }
+    );
+    const port = await new Promise((resolve, reject) =>
+      this.grpcServer.bindAsync(
+        '127.0.0.1:0',
+        grpc.ServerCredentials.createInsecure(),
+        (error, boundPort) => (error ? reject(error) : resolve(boundPort))
+      )
+    );
+    this.nodeAddress = `127.0.0.1:${port}`;
+    return this.mirrorNodeUrl;
+  }
+
+  /**
+   * Stop the local Mirror Node and consensus node
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.grpcServer) {
+      this.grpcServer.forceShutdown();
+      this.grpcServer = null;
+      this.streams.clear();
+    }
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  /**
+   * Create a new account
+   * @param {Object} options - Optional parameters
+   * @param {string} [options.keyType='ED25519'] - 'ED25519' or 'ECDSA_SECP256K1'
+   * @param {string} [options.memo=''] - Initial account memo
+   * @returns {{accountId: string, privateKey: string}} Account ID and DER-encoded private key
+   */
+  createAccount(options = {}) {
+    const { keyType = 'ED25519', memo = '' } = options;
+    const privateKey =
+      keyType === 'ECDSA_SECP256K1'
+        ? PrivateKey.generateECDSA()
+        : PrivateKey.generateED25519();
+    const accountId = this._nextEntityId();
+    this.accounts.set(accountId, {
+      publicKey: privateKey.publicKey,
+      keyType,
+      memo,
+    });
+    return { accountId, privateKey: privateKey.toStringDer() };
+  }
+
+  /**
+   * Create a client paying with the given account, connected to the simulated network
+   * (node 0.0.3) and Mirror Node
+   * @param {string} accountId - Payer account ID
+   * @param {string} privateKey - Payer DER-encoded private key
+   * @returns {import("@hashgraph/sdk").Client}
+   */
+  createClient(accountId, privateKey) {
+    const client = Client.forNetwork({ [this.nodeAddress]: '0.0.3' });
+    client.setMirrorNetwork([this.nodeAddress]);
+    client.setOperator(accountId, PrivateKey.fromStringDer(privateKey));
+    return client;
+  }
+
+  /**
+   * Make the next Mirror Node requests fail, e.g. to test retries
+   * @param {number} count - Number of requests to fail
+   * @param {number} [statusCode=503] - HTTP status code to answer with
+   * @param {Object} [headers] - Response headers (e.g. Retry-After)
+   */
+  failNextRequests(count, statusCode = 503, headers = {}) {
+    for (let i = 0; i < count; i++) this.failures.push({ statusCode, headers });
+  }
+
+  /**
+   * Make the next message submissions to a topic fail at precheck, e.g. to test partial sends
+   * @param {string} topicId - Topic ID
+   * @param {number} [count=1] - Number of submissions (chunks) to fail
+   * @param {Status} [status=Status.InsufficientPayerBalance] - Precheck status to answer with
+   *   (the SDK retries transient ones, like BUSY)
+   */
+  failNextSubmits(
+    topicId,
+    count = 1,
+    status = Status.InsufficientPayerBalance
+  ) {
+    const failures = this.submitFailures.get(topicId) || [];
+    for (let i = 0; i < count; i++) failures.push(status);
+    this.submitFailures.set(topicId, failures);
+  }
+
+  /**
+   * Don't push the next messages submitted to a topic to its streams, e.g. to test gap detection.
+   * The messages are still returned by the Mirror Node REST API.
+   * @param {string} topicId - Topic ID
+   * @param {number} [count=1] - Number of messages to drop, with all their chunks
+   */
+  dropNextStreamMessages(topicId, count = 1) {
+    const dropped = this.droppedStreamMessages.get(topicId) || 0;
+    this.droppedStreamMessages.set(topicId, dropped + count);
+  }
+
+  /**
+   * Make the open streams of a topic fail, and the streams opened again by the SDK after
+   * the failure, until `count` streams have failed. The SDK reconnects failed streams, so
+   * the default fails the stream of subscribeToTopic and all its reconnections.
+   * @param {string} topicId - Topic ID
+   * @param {number} [count=4] - Number of streams to fail
+   */
+  failStreams(topicId, count = STREAM_ATTEMPTS) {
+    this.streamFailures.set(topicId, count);
+    for (const stream of this.streams) {
+      if (stream.topicId === topicId) this._failStream(stream);
+    }
+  }
+
+  // == Private methods =======================================================
+
+  /**
+   * Wrap a handler of raw request bytes into a unary gRPC handler
+   * @param {(request: Buffer) => Uint8Array} handler - Returns the encoded response
+   * @returns {grpc.handleUnaryCall<Buffer, Buffer>}
+   */
+  _unary(handler) {
+    return (call, callback) => {
+      try {
+        callback(null, Buffer.from(handler(call.request)));
+      } catch (error) {
+        callback({ code: grpc.status.INTERNAL, details: error.message });
+      }
+    };
+  }
+
+  /**
+   * Check and execute a signed transaction. Like on the ledger, payer errors are precheck
+   * errors and other errors are reported in the receipt.
+   * @param {Buffer} request - Encoded proto.Transaction
+   * @returns {Uint8Array} Encoded proto.TransactionResponse
+   */
+  _submitTransaction(request) {
+    const { signedTransactionBytes } = proto.Transaction.decode(request);
+    const { bodyBytes, sigMap } = proto.SignedTransaction.decode(
+      signedTransactionBytes
+    );
+    const body = proto.TransactionBody.decode(bodyBytes);
+    const signers = getSigners(bodyBytes, sigMap);
+
+    const payerId = toEntityId(body.transactionID.accountID, 'accountNum');
+    const payer = this.accounts.get(payerId);
+    let precheck = Status.Ok;
+    if (!payer) {
+      precheck = Status.PayerAccountNotFound;
+    } else if (!signers.has(payer.publicKey.toStringRaw())) {
+      precheck = Status.InvalidSignature;
+    } else if (body.consensusSubmitMessage) {
+      const topicId = toEntityId(
+        body.consensusSubmitMessage.topicID,
+        'topicNum'
+      );
+      precheck = this.submitFailures.get(topicId)?.shift() || Status.Ok;
+    }
+    if (precheck !== Status.Ok) {
+      return proto.TransactionResponse.encode({
+        nodeTransactionPrecheckCode: precheck._code,
+      }).finish();
+    }
+
+    let receipt;
+    if (body.consensusCreateTopic) {
+      receipt = this._createTopic(body.consensusCreateTopic, payerId, signers);
+    } else if (body.cryptoUpdateAccount) {
+      receipt = this._updateAccount(body.cryptoUpdateAccount, signers);
+    } else if (body.consensusSubmitMessage) {
+      receipt = this._submitMessage(
+        body.consensusSubmitMessage,
+        body.transactionID,
+        payerId
+      );
+    } else {
+      receipt = { status: Status.NotSupported };
+    }
+    this.receipts.set(toTransactionKey(body.transactionID), receipt);
+    return proto.TransactionResponse.encode({
+      nodeTransactionPrecheckCode: Status.Ok._code,
+    }).finish();
+  }
+
+  /**
+   * @param {Buffer} request - Encoded proto.Query with a transactionGetReceipt query
+   * @returns {Uint8Array} Encoded proto.Response
+   */
+  _getReceipt(request) {
+    const { transactionID } = proto.Query.decode(request).transactionGetReceipt;
+    const receipt = this.receipts.get(toTransactionKey(transactionID));
+    if (!receipt) {
+      return proto.Response.encode({
+        transactionGetReceipt: {
+          header: {
+            nodeTransactionPrecheckCode: Status.ReceiptNotFound._code,
+          },
+        },
+      }).finish();
+    }
+    const { status, topicId, topicSequenceNumber } = receipt;
+    return proto.Response.encode({
+      transactionGetReceipt: {
+        header: { nodeTransactionPrecheckCode: Status.Ok._code },
+        receipt: {
+          status: status._code,
+          topicID: topicId ? toEntityIdProto(topicId, 'topicNum') : null,
+          topicSequenceNumber: topicSequenceNumber || 0,
+        },
+      },
+    }).finish();
+  }
+
+  _createTopic(transaction, payerId, signers) {
+    const adminKey = transaction.adminKey
+      ? toPublicKey(transaction.adminKey)
+      : null;
+    if (adminKey && !signers.has(adminKey.toStringRaw())) {
+      return { status: Status.InvalidSignature };
+    }
+    const topicId = this._nextEntityId();
+    this.topics.set(topicId, {
+      memo: transaction.memo || '',
+      adminKey,
+      payerId,
+      messages: [],
+    });
+    return { status: Status.Success, topicId };
+  }
+
+  _updateAccount(transaction, signers) {
+    const account = this.accounts.get(
+      toEntityId(transaction.accountIDToUpdate, 'accountNum')
+    );
+    if (!account) return { status: Status.InvalidAccountId };
+    if (!signers.has(account.publicKey.toStringRaw())) {
+      return { status: Status.InvalidSignature };
+    }
+    // Like on the ledger, a new account key must sign too
+    const key = transaction.key ? toPublicKey(transaction.key) : null;
+    if (key && !signers.has(key.toStringRaw())) {
+      return { status: Status.InvalidSignature };
+    }
+    if (key) {
+      account.publicKey = key;
+      account.keyType =
+        key.type === 'secp256k1' ? 'ECDSA_SECP256K1' : 'ED25519';
+    }
+    if (transaction.memo) account.memo = transaction.memo.value;
+    return { status: Status.Success };
+  }
+
+  /**
+   * Add a message to a topic. The SDK splits large messages into chunks, sent as separate
+   * transactions that share the initial transaction ID of their chunk info.
+   */
+  _submitMessage(transaction, transactionId, payerId) {
+    const topicId = toEntityId(transaction.topicID, 'topicNum');
+    const topic = this.topics.get(topicId);
+    if (!topic) return { status: Status.InvalidTopicId };
+
+    const { chunkInfo } = transaction;
+    const topicSequenceNumber = topic.messages.length + 1;
+    const message = {
+      consensus_timestamp: this._nextConsensusTimestamp(),
+      message: Buffer.from(transaction.message).toString('base64'),
+      payer_account_id: payerId,
+      running_hash: '',
+      running_hash_version: 3,
+      sequence_number: topicSequenceNumber,
+      topic_id: topicId,
+      chunk_info: chunkInfo
+        ? {
+            initial_transaction_id: toMirrorTransactionId(
+              chunkInfo.initialTransactionID
+            ),
+            number: chunkInfo.number,
+            total: chunkInfo.total,
+          }
+        : null,
+    };
+    topic.messages.push(message);
+    this._pushToStreams(topicId, message, transactionId);
+    return { status: Status.Success, topicSequenceNumber };
+  }
+
+  /**
+   * Stream the messages of a topic, like the Mirror Node does for TopicMessageQuery:
+   * the messages at or after the start time first, then the new ones
+   * @param {grpc.ServerWritableStream<Buffer, Buffer>} call
+   */
+  _subscribeTopic(call) {
+    const query = ConsensusTopicQuery.decode(call.request);
+    const topicId = toEntityId(query.topicID, 'topicNum');
+    const stream = { topicId, call };
+    call.on('cancelled', () => this.streams.delete(stream));
+    this.streams.add(stream);
+    if (this.streamFailures.get(topicId) > 0) {
+      this._failStream(stream);
+      return;
+    }
+
+    const start = query.consensusStartTime
+      ? BigInt(query.consensusStartTime.seconds.toString()) * 1000000000n +
+        BigInt(query.consensusStartTime.nanos || 0)
+      : 0n;
+    const topic = this.topics.get(topicId);
+    const messages = topic
+      ? topic.messages.filter(msg => toNanos(msg.consensus_timestamp) >= start)
+      : [];
+    for (const message of messages) call.write(toTopicResponse(message));
+  }
+
+  _failStream(stream) {
+    const { topicId, call } = stream;
+    this.streams.delete(stream);
+    this.streamFailures.set(topicId, this.streamFailures.get(topicId) - 1);
+    call.emit('error', {
+      code: grpc.status.UNAVAILABLE,
+      details: 'Stream reset by the mirror node',
+    });
+  }
+
+  _pushToStreams(topicId, message, transactionId) {
+    // A dropped message is dropped with all its chunks
+    const initialId = message.chunk_info
+      ? JSON.stringify(message.chunk_info.initial_transaction_id)
+      : toTransactionKey(transactionId);
+    const dropped = this.droppedStreamMessages.get(topicId) || 0;
+    if (!message.chunk_info || message.chunk_info.number === 1) {
+      if (dropped > 0) {
+        this.droppedStreamMessages.set(topicId, dropped - 1);
+        this.droppedTransactions.add(initialId);
+      }
+    }
+    if (this.droppedTransactions.has(initialId)) return;
+
+    for (const stream of this.streams) {
+      if (stream.topicId === topicId) {
+        stream.call.write(toTopicResponse(message));
+      }
+    }
+  }
+
+  _nextEntityId() {
+    return `0.0.${this.nextEntityNum++}`;
+  }
+
+  /**
+   * Consensus timestamps are unique and increasing, even within the same millisecond
+   * @returns {string} Timestamp as seconds.nanoseconds
+   */
+  _nextConsensusTimestamp() {
+    const now = BigInt(Date.now()) * 1000000n;
+    this.lastConsensusNanos =
+      now > this.lastConsensusNanos ? now : this.lastConsensusNanos + 1n;
+    const seconds = this.lastConsensusNanos / 1000000000n;
+    const nanos = this.lastConsensusNanos % 1000000000n;
+    return `${seconds}.${nanos.toString().padStart(9, '0')}`;
+  }
+
+  _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const failure = this.failures.shift();
+    if (failure) {
+      return this._respond(res, failure.statusCode, {}, failure.headers);
+    }
+
+    const accountMatch = url.pathname.match(/^\/api\/v1\/accounts\/([^/]+)$/);
+    if (req.method === 'GET' && accountMatch) {
+      return this._getAccount(res, accountMatch[1]);
+    }
+    const messagesMatch = url.pathname.match(
+      /^\/api\/v1\/topics\/([^/]+)\/messages$/
+    );
+    if (req.method === 'GET' && messagesMatch) {
+      return this._getTopicMessages(res, messagesMatch[1], url.searchParams);
+    }
+    return this._notFound(res);
+  }
+
+  _getAccount(res, accountId) {
+    const account = this.accounts.get(accountId);
+    if (!account) return this._notFound(res);
+    this._respond(res, 200, {
+      account: accountId,
+      deleted: false,
+      memo: account.memo,
+      key: {
+        _type: account.keyType,
+        key: account.publicKey.toStringRaw(),
+      },
+    });
+  }
+
+  _getTopicMessages(res, topicId, params) {
+    const topic = this.topics.get(topicId);
+    if (!topic) return this._notFound(res);
+
+    const limit = Math.min(
+      parseInt(params.get('limit')) || DEFAULT_PAGE_SIZE,
+      MAX_PAGE_SIZE
+    );
+    const order = params.get('order') === 'desc' ? 'desc' : 'asc';
+    const filters = params.getAll('sequencenumber').map(parseSequenceFilter);
+    if (filters.some(filter => !filter)) {
+      return this._respond(res, 400, {
+        _status: {
+          messages: [{ message: 'Invalid parameter: sequencenumber' }],
+        },
+      });
+    }
+
+    const matching = topic.messages.filter(msg =>
+      filters.every(filter => filter(msg.sequence_number))
+    );
+    if (order === 'desc') matching.reverse();
+    const messages = matching.slice(0, limit);
+
+    // Like the Mirror Node, a next link is returned whenever the page is full
+    let next = null;
+    if (messages.length === limit) {
+      const last = messages[messages.length - 1].sequence_number;
+      const operator = order === 'asc' ? 'gt' : 'lt';
+      next = `/api/v1/topics/${topicId}/messages?limit=${limit}&order=${order}&sequencenumber=${operator}:${last}`;
+    }
+    this._respond(res, 200, { messages, links: { next } });
+  }
+
+  _notFound(res) {
+    this._respond(res, 404, {
+      _status: { messages: [{ message: 'Not found' }] },
+    });
+  }
+
+  _respond(res, statusCode, body, headers = {}) {
+    res.writeHead(statusCode, {
+      'Content-Type': 'application/json',
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  }
+}
+
+// == Private functions =======================================================
+
+/**
+ * Parse a sequencenumber query parameter (e.g. 'gt:5' or '5')
+ * @param {string} value - Parameter value
+ * @returns {Function|null} Predicate on sequence numbers, or null if invalid
+ */
+function parseSequenceFilter(value) {
+  const [operator, number] = value.includes(':')
+    ? value.split(':')
+    : ['eq', value];
+  const n = parseInt(number);
+  if (Number.isNaN(n)) return null;
+  const operators = {
+    eq: seq => seq === n,
+    gt: seq => seq > n,
+    gte: seq => seq >= n,
+    lt: seq => seq < n,
+    lte: seq => seq <= n,
+  };
+  return operators[operator] || null;
+}
+
+/**
+ * @param {string} timestamp - Consensus timestamp as seconds.nanoseconds
+ * @returns {bigint} Nanoseconds since the epoch
+ */
+function toNanos(timestamp) {
+  const [seconds, nanos = '0'] = String(timestamp).split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+/**
+ * Define a gRPC service whose messages are passed as raw bytes, like the SDK does
+ * @param {string} name - Fully qualified service name
+ * @param {string[]} methods - Method names, all unary except subscribeTopic
+ * @returns {grpc.ServiceDefinition}
+ */
+function defineService(name, methods) {
+  const identity = value => value;
+  return Object.fromEntries(
+    methods.map(method => [
+      method,
+      {
+        path: `/${name}/${method}`,
+        requestStream: false,
+        responseStream: method === 'subscribeTopic',
+        requestSerialize: identity,
+        requestDeserialize: identity,
+        responseSerialize: identity,
+        responseDeserialize: identity,
+      },
+    ])
+  );
+}
+
+/**
+ * Get the keys whose signature of the transaction body is valid
+ * @param {Uint8Array} bodyBytes - Signed transaction body
+ * @param {Object} sigMap - proto.SignatureMap
+ * @returns {Set<string>} Raw public keys in hex
+ */
+function getSigners(bodyBytes, sigMap) {
+  const signers = new Set();
+  for (const pair of sigMap?.sigPair || []) {
+    const publicKey = pair.ed25519?.length
+      ? PublicKey.fromBytesED25519(pair.pubKeyPrefix)
+      : PublicKey.fromBytesECDSA(pair.pubKeyPrefix);
+    const signature = pair.ed25519?.length ? pair.ed25519 : pair.ECDSASecp256k1;
+    if (signature && publicKey.verify(bodyBytes, signature)) {
+      signers.add(publicKey.toStringRaw());
+    }
+  }
+  return signers;
+}
+
+/**
+ * @param {Object} key - proto.Key
+ * @returns {PublicKey}
+ */
+function toPublicKey(key) {
+  return key.ed25519?.length
+    ? PublicKey.fromBytesED25519(key.ed25519)
+    : PublicKey.fromBytesECDSA(key.ECDSASecp256k1);
+}
+
+/**
+ * @param {Object} id - proto.AccountID or proto.TopicID
+ * @param {string} numField - 'accountNum' or 'topicNum'
+ * @returns {string} Entity ID, e.g. '0.0.1234'
+ */
+function toEntityId(id, numField) {
+  return `${id.shardNum}.${id.realmNum}.${id[numField]}`;
+}
+
+/**
+ * @param {string} entityId - Entity ID, e.g. '0.0.1234'
+ * @param {string} numField - 'accountNum' or 'topicNum'
+ * @returns {Object} proto.AccountID or proto.TopicID
+ */
+function toEntityIdProto(entityId, numField) {
+  const [shardNum, realmNum, num] = entityId.split('.').map(Number);
+  return { shardNum, realmNum, [numField]: num };
+}
+
+/**
+ * @param {Object} timestamp - proto.Timestamp
+ * @returns {string} Timestamp as seconds.nanoseconds
+ */
+function toTimestampString(timestamp) {
+  const nanos = String(timestamp.nanos || 0).padStart(9, '0');
+  return `${timestamp.seconds}.${nanos}`;
+}
+
+/**
+ * @param {Object} transactionId - proto.TransactionID
+ * @returns {string} Key of the transaction receipt, e.g. '0.0.1001@1700000000.000000001'
+ */
+function toTransactionKey(transactionId) {
+  const payerId = toEntityId(transactionId.accountID, 'accountNum');
+  return `${payerId}@${toTimestampString(transactionId.transactionValidStart)}`;
+}
+
+/**
+ * @param {Object} transactionId - proto.TransactionID
+ * @returns {Object} Transaction ID in Mirror Node REST format
+ */
+function toMirrorTransactionId(transactionId) {
+  return {
+    account_id: toEntityId(transactionId.accountID, 'accountNum'),
+    nonce: transactionId.nonce || 0,
+    scheduled: Boolean(transactionId.scheduled),
+    transaction_valid_start: toTimestampString(
+      transactionId.transactionValidStart
+    ),
+  };
+}
+
+/**
+ * Encode a topic message for a stream
+ * @param {Object} message - Topic message in Mirror Node REST format
+ * @returns {Uint8Array} Encoded ConsensusTopicResponse
+ */
+function toTopicResponse(message) {
+  const nanos = toNanos(message.consensus_timestamp);
+  const chunkInfo = message.chunk_info;
+  let initialTransactionID = null;
+  if (chunkInfo) {
+    const { account_id, nonce, scheduled, transaction_valid_start } =
+      chunkInfo.initial_transaction_id;
+    const [seconds, validStartNanos] = transaction_valid_start.split('.');
+    initialTransactionID = {
+      accountID: toEntityIdProto(account_id, 'accountNum'),
+      transactionValidStart: {
+        seconds: Number(seconds),
+        nanos: Number(validStartNanos),
+      },
+      scheduled,
+      nonce,
+    };
+  }
+  return ConsensusTopicResponse.encode({
+    consensusTimestamp: {
+      seconds: Number(nanos / 1000000000n),
+      nanos: Number(nanos % 1000000000n),
+    },
+    message: Buffer.from(message.message, 'base64'),
+    runningHash: Buffer.alloc(48),
+    sequenceNumber: message.sequence_number,
+    runningHashVersion: message.running_hash_version,
+    chunkInfo: chunkInfo
+      ? {
+          initialTransactionID,
+          number: chunkInfo.number,
+          total: chunkInfo.total,
+        }
+      : null,
+  }).finish();
+}
+
+// == Exports =================================================================
+
+module.exports = {
+  LedgerSimulator,
+};